@@ -1,554 +1,5280 @@
 #!/usr/bin/env node
 import { Server } from '@modelcontextprotocol/sdk/server/index.js';
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
-import { CallToolRequestSchema, ListToolsRequestSchema } from '@modelcontextprotocol/sdk/types.js';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { SSEServerTransport } from '@modelcontextprotocol/sdk/server/sse.js';
+import {
+  CallToolRequestSchema,
+  ListToolsRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
+  ReadResourceRequestSchema,
+  SubscribeRequestSchema,
+  ListPromptsRequestSchema,
+  GetPromptRequestSchema,
+  UnsubscribeRequestSchema,
+  McpError,
+  ErrorCode,
+  isInitializeRequest
+} from '@modelcontextprotocol/sdk/types.js';
 import fetch from 'node-fetch';
+import { parse as parseYaml } from 'yaml';
+import { readFileSync, existsSync } from 'node:fs';
+import { readFile, writeFile, rename, open, stat, rm, mkdir, readdir, realpath } from 'node:fs/promises';
+import { resolve, relative, isAbsolute, sep, extname, join, dirname } from 'node:path';
+import { homedir } from 'node:os';
+import { parseArgs } from 'node:util';
+import { createHash, randomUUID, timingSafeEqual } from 'node:crypto';
+import { createServer as createHttpServer } from 'node:http';
+import vm from 'node:vm';
 
-// Hardcoded URL for the message board API
-const MESSAGE_BOARD_URL = 'https://modern-message-board-lg.replit.app';
+// Built-in backend settings, used when nothing else is configured
+const DEFAULT_SETTINGS = {
+  baseUrl: 'https://modern-message-board-lg.replit.app',
+  headers: {},
+  token: null,
+  timeout: 30000,
+  conflictRetries: 3,
+  retries: 3,
+  retryDelay: 250,
+  breakerThreshold: 5,
+  breakerCooldown: 30000,
+  pollInterval: 15000,
+  cacheTtl: 5000,
+  storage: 'http',
+  dataFile: 'data.json',
+  journalFile: join(homedir(), '.modern-message-board-mcp', 'journal.json'),
+  snapshotDir: join(homedir(), '.modern-message-board-mcp', 'snapshots'),
+  snapshotLimit: 50,
+  snapshotMaxDays: 30,
+  importDir: join(homedir(), '.modern-message-board-mcp', 'imports'),
+  transport: 'stdio',
+  host: '127.0.0.1',
+  allowedHosts: [],
+  port: 3000,
+  authToken: null,
+  corsOrigins: [],
+  sessionTimeout: 1800000
+};
+
+// Keys allowed in a config file profile (and at the top level of the file)
+const SETTING_KEYS = Object.keys(DEFAULT_SETTINGS);
+
+// Config files picked up from the working directory when none is given explicitly
+const CONFIG_FILE_NAMES = [
+  'message-board.config.json',
+  'message-board.config.yaml',
+  'message-board.config.yml'
+];
+
+// Raised for any problem with the configuration; reported once at startup
+class ConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ConfigError';
+  }
+}
+
+// Active configuration, resolved in main() before the server starts
+let config = null;
+
+const isPlainObject = (value) =>
+  typeof value === 'object' && value !== null && !Array.isArray(value);
+
+// Parse command line flags
+function parseCliArgs(argv) {
+  try {
+    const { values } = parseArgs({
+      args: argv,
+      options: {
+        config: { type: 'string' },
+        profile: { type: 'string' },
+        url: { type: 'string' },
+        token: { type: 'string' },
+        header: { type: 'string', multiple: true },
+        timeout: { type: 'string' },
+        'conflict-retries': { type: 'string' },
+        retries: { type: 'string' },
+        'retry-delay': { type: 'string' },
+        'breaker-threshold': { type: 'string' },
+        'breaker-cooldown': { type: 'string' },
+        'poll-interval': { type: 'string' },
+        'cache-ttl': { type: 'string' },
+        storage: { type: 'string' },
+        'data-file': { type: 'string' },
+        'journal-file': { type: 'string' },
+        'snapshot-dir': { type: 'string' },
+        'snapshot-limit': { type: 'string' },
+        'snapshot-max-days': { type: 'string' },
+        'import-dir': { type: 'string' },
+        transport: { type: 'string' },
+        host: { type: 'string' },
+        'allowed-host': { type: 'string', multiple: true },
+        port: { type: 'string' },
+        'auth-token': { type: 'string' },
+        'cors-origin': { type: 'string', multiple: true },
+        'session-timeout': { type: 'string' }
+      },
+      strict: true
+    });
+    return values;
+  } catch (error) {
+    throw new ConfigError(error.message);
+  }
+}
+
+// Parse "Name: value" (or "Name=value") header flags into an object
+function parseHeaderFlags(flags = []) {
+  const headers = {};
+  flags.forEach(flag => {
+    const match = flag.match(/^([^:=]+)[:=](.*)$/);
+    if (!match || !match[1].trim()) {
+      throw new ConfigError(`Invalid --header "${flag}", expected "Name: value"`);
+    }
+    headers[match[1].trim()] = match[2].trim();
+  });
+  return headers;
+}
+
+// Read settings from MESSAGE_BOARD_* environment variables
+function settingsFromEnv(env) {
+  const settings = {};
+  
+  if (env.MESSAGE_BOARD_URL) settings.baseUrl = env.MESSAGE_BOARD_URL;
+  if (env.MESSAGE_BOARD_TOKEN) settings.token = env.MESSAGE_BOARD_TOKEN;
+  if (env.MESSAGE_BOARD_TIMEOUT) settings.timeout = env.MESSAGE_BOARD_TIMEOUT;
+  if (env.MESSAGE_BOARD_CONFLICT_RETRIES) settings.conflictRetries = env.MESSAGE_BOARD_CONFLICT_RETRIES;
+  if (env.MESSAGE_BOARD_RETRIES) settings.retries = env.MESSAGE_BOARD_RETRIES;
+  if (env.MESSAGE_BOARD_RETRY_DELAY) settings.retryDelay = env.MESSAGE_BOARD_RETRY_DELAY;
+  if (env.MESSAGE_BOARD_BREAKER_THRESHOLD) settings.breakerThreshold = env.MESSAGE_BOARD_BREAKER_THRESHOLD;
+  if (env.MESSAGE_BOARD_BREAKER_COOLDOWN) settings.breakerCooldown = env.MESSAGE_BOARD_BREAKER_COOLDOWN;
+  if (env.MESSAGE_BOARD_POLL_INTERVAL) settings.pollInterval = env.MESSAGE_BOARD_POLL_INTERVAL;
+  if (env.MESSAGE_BOARD_CACHE_TTL) settings.cacheTtl = env.MESSAGE_BOARD_CACHE_TTL;
+  if (env.MESSAGE_BOARD_STORAGE) settings.storage = env.MESSAGE_BOARD_STORAGE;
+  if (env.MESSAGE_BOARD_DATA_FILE) settings.dataFile = env.MESSAGE_BOARD_DATA_FILE;
+  if (env.MESSAGE_BOARD_JOURNAL_FILE) settings.journalFile = env.MESSAGE_BOARD_JOURNAL_FILE;
+  if (env.MESSAGE_BOARD_SNAPSHOT_DIR) settings.snapshotDir = env.MESSAGE_BOARD_SNAPSHOT_DIR;
+  if (env.MESSAGE_BOARD_SNAPSHOT_LIMIT) settings.snapshotLimit = env.MESSAGE_BOARD_SNAPSHOT_LIMIT;
+  if (env.MESSAGE_BOARD_SNAPSHOT_MAX_DAYS) settings.snapshotMaxDays = env.MESSAGE_BOARD_SNAPSHOT_MAX_DAYS;
+  if (env.MESSAGE_BOARD_IMPORT_DIR) settings.importDir = env.MESSAGE_BOARD_IMPORT_DIR;
+  if (env.MESSAGE_BOARD_TRANSPORT) settings.transport = env.MESSAGE_BOARD_TRANSPORT;
+  if (env.MESSAGE_BOARD_HOST) settings.host = env.MESSAGE_BOARD_HOST;
+  if (env.MESSAGE_BOARD_ALLOWED_HOSTS) {
+    settings.allowedHosts = env.MESSAGE_BOARD_ALLOWED_HOSTS.split(',').map(host => host.trim()).filter(Boolean);
+  }
+  if (env.MESSAGE_BOARD_PORT) settings.port = env.MESSAGE_BOARD_PORT;
+  if (env.MESSAGE_BOARD_AUTH_TOKEN) settings.authToken = env.MESSAGE_BOARD_AUTH_TOKEN;
+  if (env.MESSAGE_BOARD_CORS_ORIGINS) {
+    settings.corsOrigins = env.MESSAGE_BOARD_CORS_ORIGINS.split(',').map(origin => origin.trim()).filter(Boolean);
+  }
+  if (env.MESSAGE_BOARD_SESSION_TIMEOUT) settings.sessionTimeout = env.MESSAGE_BOARD_SESSION_TIMEOUT;
+  
+  if (env.MESSAGE_BOARD_HEADERS) {
+    try {
+      settings.headers = JSON.parse(env.MESSAGE_BOARD_HEADERS);
+    } catch (error) {
+      throw new ConfigError(`MESSAGE_BOARD_HEADERS must be a JSON object: ${error.message}`);
+    }
+  }
+  
+  return settings;
+}
+
+// Read settings from command line flags
+function settingsFromCli(cli) {
+  const settings = {};
+  
+  if (cli.url) settings.baseUrl = cli.url;
+  if (cli.token) settings.token = cli.token;
+  if (cli.timeout) settings.timeout = cli.timeout;
+  if (cli['conflict-retries']) settings.conflictRetries = cli['conflict-retries'];
+  if (cli.retries) settings.retries = cli.retries;
+  if (cli['retry-delay']) settings.retryDelay = cli['retry-delay'];
+  if (cli['breaker-threshold']) settings.breakerThreshold = cli['breaker-threshold'];
+  if (cli['breaker-cooldown']) settings.breakerCooldown = cli['breaker-cooldown'];
+  if (cli['poll-interval']) settings.pollInterval = cli['poll-interval'];
+  if (cli['cache-ttl']) settings.cacheTtl = cli['cache-ttl'];
+  if (cli.storage) settings.storage = cli.storage;
+  if (cli['data-file']) settings.dataFile = cli['data-file'];
+  if (cli['journal-file']) settings.journalFile = cli['journal-file'];
+  if (cli['snapshot-dir']) settings.snapshotDir = cli['snapshot-dir'];
+  if (cli['snapshot-limit']) settings.snapshotLimit = cli['snapshot-limit'];
+  if (cli['snapshot-max-days']) settings.snapshotMaxDays = cli['snapshot-max-days'];
+  if (cli['import-dir']) settings.importDir = cli['import-dir'];
+  if (cli.transport) settings.transport = cli.transport;
+  if (cli.host) settings.host = cli.host;
+  if (cli['allowed-host']) settings.allowedHosts = cli['allowed-host'];
+  if (cli.port) settings.port = cli.port;
+  if (cli['auth-token']) settings.authToken = cli['auth-token'];
+  if (cli['cors-origin']) settings.corsOrigins = cli['cors-origin'];
+  if (cli['session-timeout']) settings.sessionTimeout = cli['session-timeout'];
+  if (cli.header) settings.headers = parseHeaderFlags(cli.header);
+  
+  return settings;
+}
+
+// Find a config file in the working directory
+function findConfigFile() {
+  const found = CONFIG_FILE_NAMES.map(name => resolve(name)).find(file => existsSync(file));
+  return found || null;
+}
+
+// Load and parse a JSON or YAML config file
+function readConfigFile(filePath) {
+  let raw;
+  try {
+    raw = readFileSync(filePath, 'utf8');
+  } catch (error) {
+    throw new ConfigError(`Cannot read config file ${filePath}: ${error.message}`);
+  }
+  
+  let parsed;
+  try {
+    const ext = extname(filePath).toLowerCase();
+    parsed = ext === '.yaml' || ext === '.yml' ? parseYaml(raw) : JSON.parse(raw);
+  } catch (error) {
+    throw new ConfigError(`Cannot parse config file ${filePath}: ${error.message}`);
+  }
+  
+  if (parsed == null) {
+    return {};
+  }
+  if (!isPlainObject(parsed)) {
+    throw new ConfigError(`Config file ${filePath} must contain an object`);
+  }
+  
+  return parsed;
+}
+
+// Reject unknown keys so typos in config files do not go unnoticed
+function checkSettingKeys(settings, where, extraKeys = []) {
+  if (!isPlainObject(settings)) {
+    throw new ConfigError(`${where} must be an object`);
+  }
+  
+  const allowed = [...SETTING_KEYS, ...extraKeys];
+  const unknown = Object.keys(settings).filter(key => !allowed.includes(key));
+  if (unknown.length > 0) {
+    throw new ConfigError(`Unknown setting(s) in ${where}: ${unknown.join(', ')} (allowed: ${allowed.join(', ')})`);
+  }
+}
+
+// Merge settings layers, later layers win; headers are merged key by key
+function mergeSettings(...layers) {
+  return layers.reduce((merged, layer) => {
+    Object.keys(layer).forEach(key => {
+      if (layer[key] === undefined) return;
+      merged[key] = key === 'headers' ? { ...merged.headers, ...layer.headers } : layer[key];
+    });
+    return merged;
+  }, { headers: {} });
+}
+
+// Validate merged settings and normalize their types
+function validateSettings(settings) {
+  let baseUrl;
+  try {
+    baseUrl = new URL(settings.baseUrl);
+  } catch (error) {
+    throw new ConfigError(`baseUrl is not a valid URL: ${settings.baseUrl}`);
+  }
+  if (baseUrl.protocol !== 'http:' && baseUrl.protocol !== 'https:') {
+    throw new ConfigError(`baseUrl must use http or https: ${settings.baseUrl}`);
+  }
+  
+  if (!isPlainObject(settings.headers)) {
+    throw new ConfigError('headers must be an object of header names to values');
+  }
+  Object.keys(settings.headers).forEach(name => {
+    if (typeof settings.headers[name] !== 'string') {
+      throw new ConfigError(`Header "${name}" must be a string`);
+    }
+  });
+  
+  if (settings.token != null && (typeof settings.token !== 'string' || !settings.token)) {
+    throw new ConfigError('token must be a non-empty string');
+  }
+  
+  const timeout = Number(settings.timeout);
+  if (!Number.isInteger(timeout) || timeout <= 0) {
+    throw new ConfigError(`timeout must be a positive number of milliseconds: ${settings.timeout}`);
+  }
+  
+  const conflictRetries = Number(settings.conflictRetries);
+  if (!Number.isInteger(conflictRetries) || conflictRetries < 0) {
+    throw new ConfigError(`conflictRetries must be a non-negative integer: ${settings.conflictRetries}`);
+  }
+  
+  const retries = Number(settings.retries);
+  if (!Number.isInteger(retries) || retries < 0) {
+    throw new ConfigError(`retries must be a non-negative integer: ${settings.retries}`);
+  }
+  
+  const retryDelay = Number(settings.retryDelay);
+  if (!Number.isInteger(retryDelay) || retryDelay <= 0) {
+    throw new ConfigError(`retryDelay must be a positive number of milliseconds: ${settings.retryDelay}`);
+  }
+  
+  const breakerThreshold = Number(settings.breakerThreshold);
+  if (!Number.isInteger(breakerThreshold) || breakerThreshold < 1) {
+    throw new ConfigError(`breakerThreshold must be a positive integer: ${settings.breakerThreshold}`);
+  }
+  
+  const breakerCooldown = Number(settings.breakerCooldown);
+  if (!Number.isInteger(breakerCooldown) || breakerCooldown <= 0) {
+    throw new ConfigError(`breakerCooldown must be a positive number of milliseconds: ${settings.breakerCooldown}`);
+  }
+  
+  const pollInterval = Number(settings.pollInterval);
+  if (!Number.isInteger(pollInterval) || pollInterval < 1000) {
+    throw new ConfigError(`pollInterval must be at least 1000 milliseconds: ${settings.pollInterval}`);
+  }
+  
+  const cacheTtl = Number(settings.cacheTtl);
+  if (!Number.isInteger(cacheTtl) || cacheTtl < 0) {
+    throw new ConfigError(`cacheTtl must be a non-negative number of milliseconds (0 disables the cache): ${settings.cacheTtl}`);
+  }
+  
+  if (settings.storage !== 'http' && settings.storage !== 'file') {
+    throw new ConfigError(`storage must be "http" or "file": ${settings.storage}`);
+  }
+  
+  if (typeof settings.dataFile !== 'string' || !settings.dataFile) {
+    throw new ConfigError('dataFile must be a non-empty path');
+  }
+  
+  if (typeof settings.journalFile !== 'string' || !settings.journalFile) {
+    throw new ConfigError('journalFile must be a non-empty path');
+  }
+  
+  if (typeof settings.snapshotDir !== 'string' || !settings.snapshotDir) {
+    throw new ConfigError('snapshotDir must be a non-empty path');
+  }
+  
+  const snapshotLimit = Number(settings.snapshotLimit);
+  if (!Number.isInteger(snapshotLimit) || snapshotLimit < 0) {
+    throw new ConfigError(`snapshotLimit must be a non-negative integer: ${settings.snapshotLimit}`);
+  }
+  
+  const snapshotMaxDays = Number(settings.snapshotMaxDays);
+  if (!Number.isInteger(snapshotMaxDays) || snapshotMaxDays <= 0) {
+    throw new ConfigError(`snapshotMaxDays must be a positive integer: ${settings.snapshotMaxDays}`);
+  }
+  
+  if (typeof settings.importDir !== 'string' || !settings.importDir) {
+    throw new ConfigError('importDir must be a non-empty path');
+  }
+  
+  if (settings.transport !== 'stdio' && settings.transport !== 'http') {
+    throw new ConfigError(`transport must be "stdio" or "http": ${settings.transport}`);
+  }
+  
+  if (typeof settings.host !== 'string' || !settings.host) {
+    throw new ConfigError('host must be a non-empty string');
+  }
+  
+  if (!Array.isArray(settings.allowedHosts) || settings.allowedHosts.some(host => typeof host !== 'string' || !host)) {
+    throw new ConfigError('allowedHosts must be a list of host names');
+  }
+  
+  const port = Number(settings.port);
+  if (!Number.isInteger(port) || port < 0 || port > 65535) {
+    throw new ConfigError(`port must be an integer between 0 and 65535: ${settings.port}`);
+  }
+  
+  if (settings.authToken != null && (typeof settings.authToken !== 'string' || !settings.authToken)) {
+    throw new ConfigError('authToken must be a non-empty string');
+  }
+  
+  if (!Array.isArray(settings.corsOrigins) || settings.corsOrigins.some(origin => typeof origin !== 'string')) {
+    throw new ConfigError('corsOrigins must be a list of origins (or "*")');
+  }
+  
+  const sessionTimeout = Number(settings.sessionTimeout);
+  if (!Number.isInteger(sessionTimeout) || sessionTimeout < 1000) {
+    throw new ConfigError(`sessionTimeout must be at least 1000 milliseconds: ${settings.sessionTimeout}`);
+  }
+  
+  return {
+    baseUrl: baseUrl.toString().replace(/\/+$/, ''),
+    headers: { ...settings.headers },
+    token: settings.token || null,
+    timeout,
+    conflictRetries,
+    retries,
+    retryDelay,
+    breakerThreshold,
+    breakerCooldown,
+    pollInterval,
+    cacheTtl,
+    storage: settings.storage,
+    dataFile: resolve(settings.dataFile),
+    journalFile: resolve(settings.journalFile),
+    snapshotDir: resolve(settings.snapshotDir),
+    snapshotLimit,
+    snapshotMaxDays,
+    importDir: resolve(settings.importDir),
+    transport: settings.transport,
+    host: settings.host,
+    allowedHosts: settings.allowedHosts.map(host => host.toLowerCase()),
+    port,
+    authToken: settings.authToken || null,
+    corsOrigins: [...settings.corsOrigins],
+    sessionTimeout
+  };
+}
+
+// Resolve the active configuration.
+// Precedence (lowest to highest): built-in defaults, config file top level,
+// selected profile, environment variables, command line flags.
+function loadConfig(argv = process.argv.slice(2), env = process.env) {
+  const cli = parseCliArgs(argv);
+  const configPath = cli.config || env.MESSAGE_BOARD_CONFIG
+    ? resolve(cli.config || env.MESSAGE_BOARD_CONFIG)
+    : findConfigFile();
+  const file = configPath ? readConfigFile(configPath) : {};
+  
+  const { profiles = {}, defaultProfile, ...shared } = file;
+  checkSettingKeys(shared, 'config file');
+  if (!isPlainObject(profiles)) {
+    throw new ConfigError('profiles must be an object of profile names to settings');
+  }
+  Object.keys(profiles).forEach(name => checkSettingKeys(profiles[name], `profile "${name}"`));
+  
+  const profileName = cli.profile || env.MESSAGE_BOARD_PROFILE || defaultProfile || null;
+  if (profileName && !profiles[profileName]) {
+    const available = Object.keys(profiles);
+    throw new ConfigError(`Unknown profile "${profileName}"` +
+      (available.length > 0 ? ` (available: ${available.join(', ')})` : ' (no profiles defined)'));
+  }
+  
+  const settings = validateSettings(mergeSettings(
+    DEFAULT_SETTINGS,
+    shared,
+    profileName ? profiles[profileName] : {},
+    settingsFromEnv(env),
+    settingsFromCli(cli)
+  ));
+  
+  return Object.freeze({ ...settings, profile: profileName, configPath });
+}
+
+// Errors reported to clients
+//
+// Failed tool calls carry one of these codes next to the message:
+//   INVALID_ARGUMENT     an argument is missing, malformed or out of range
+//   NOT_FOUND            the message, category or tool does not exist
+//   AMBIGUOUS_ID         a legacy ID matches several messages
+//   ALREADY_EXISTS       a category with that name exists already
+//   FAILED_PRECONDITION  the board is not in a state that allows the change
+//   INVALID_TEMPLATE     a message template cannot be parsed
+//   INVALID_SNAPSHOT     a snapshot file is corrupt and cannot be read
+//   BULK_ITEMS_FAILED    items of a bulk call failed, nothing was saved
+//   CONFLICT             the board kept changing while saving
+//   UNAUTHORIZED         the backend rejected the configured credentials
+//   RATE_LIMITED         the backend asks for fewer requests
+//   TIMEOUT              the backend or a file lock did not answer in time
+//   BACKEND_UNAVAILABLE  the backend cannot be reached
+//   BACKEND_ERROR        the backend failed or sent something unusable
+//   INTERNAL             anything else (a bug in this server)
+// `retryable` tells whether the same call may succeed later unchanged.
+class BoardError extends Error {
+  constructor(code, message, { retryable = false, details = null } = {}) {
+    super(message);
+    this.name = 'BoardError';
+    this.code = code;
+    this.retryable = retryable;
+    this.details = details;
+  }
+}
+
+// Code, retryability and details of any error
+function describeError(error) {
+  if (error instanceof BoardError) {
+    return { code: error.code, retryable: error.retryable, details: error.details };
+  }
+  return { code: 'INTERNAL', retryable: false, details: null };
+}
+
+// Same error with context in front of the message
+function withContext(error, context) {
+  const { code, retryable, details } = describeError(error);
+  return new BoardError(code, `${context}: ${error.message}`, { retryable, details });
+}
+
+// Error for an unexpected backend response status
+function httpStatusError(response, message = `HTTP ${response.status}: ${response.statusText}`) {
+  const status = response.status;
+  const details = { status };
+  const retryAfter = Number(response.headers.get('retry-after'));
+  if (retryAfter > 0) {
+    details.retryAfterMs = retryAfter * 1000;
+  }
+  
+  if (status === 401 || status === 403) {
+    return new BoardError('UNAUTHORIZED', message, { details });
+  }
+  // A 404 from the backend means a wrong baseUrl or a missing endpoint, not a
+  // missing message, so it is a backend error
+  if (status === 404) {
+    return new BoardError('BACKEND_ERROR', message, { details });
+  }
+  if (status === 408 || status === 504) {
+    return new BoardError('TIMEOUT', message, { retryable: true, details });
+  }
+  if (status === 409 || status === 412) {
+    return new BoardError('CONFLICT', message, { retryable: true, details });
+  }
+  if (status === 429) {
+    return new BoardError('RATE_LIMITED', message, { retryable: true, details });
+  }
+  if (status === 502 || status === 503) {
+    return new BoardError('BACKEND_UNAVAILABLE', message, { retryable: true, details });
+  }
+  if (status >= 400 && status < 500) {
+    return new BoardError('INVALID_ARGUMENT', message, { details });
+  }
+  return new BoardError('BACKEND_ERROR', message, { retryable: status >= 500, details });
+}
+
+// Tool result for a failure: the message as text and the error as structured content
+function errorResult(action, error, text = `Error ${action}: ${error.message}`) {
+  const { code, retryable, details } = describeError(error);
+  return {
+    content: [{ type: 'text', text }],
+    structuredContent: { error: { code, message: error.message, retryable, details } },
+    isError: true
+  };
+}
 
 // HTTP headers for API requests
 const getHeaders = () => ({
   'Content-Type': 'application/json',
-  'User-Agent': 'Modern-Message-Board-MCP/1.0.0'
+  'User-Agent': 'Modern-Message-Board-MCP/1.0.0',
+  ...config.headers,
+  ...(config.token ? { 'Authorization': `Bearer ${config.token}` } : {})
 });
 
-// Tab name mapping
-const TAB_NAMES = {
-  '1': 'First Messages',
-  '2': 'Second Messages',
-  '3': 'Third Messages',
-  '4': 'Fourth Messages',
-  '5': 'Short First',
-  '6': 'Not Interested',
-  '7': 'Interested',
-  '8': 'Affiliate',
-  '9': 'Old Connections',
-  '10': 'New Task'
-};
+// Raised without contacting the backend while the circuit breaker is open
+class BackendUnavailableError extends BoardError {
+  constructor(message, retryAfterMs) {
+    super('BACKEND_UNAVAILABLE', message, { retryable: true, details: { retryAfterMs } });
+    this.name = 'BackendUnavailableError';
+  }
+}
 
-// API request helper
-async function apiRequest(endpoint, options = {}) {
-  // Always use /data.json to get all data
-  const url = `${MESSAGE_BOARD_URL}/data.json`;
-  const requestOptions = {
-    headers: getHeaders(),
-    ...options
-  };
+// Statuses worth another attempt: the backend is waking up, overloaded or
+// behind a gateway that gave up on it
+const RETRYABLE_STATUSES = [408, 429, 502, 503, 504];
+
+// Upper bound for a single backoff pause
+const MAX_RETRY_DELAY_MS = 10000;
+
+// Circuit breaker: after breakerThreshold consecutive failures the backend is
+// considered down and calls fail fast for breakerCooldown ms. Then a single
+// probe request is let through; its outcome closes or re-opens the circuit.
+const breaker = { failures: 0, openedAt: null, probing: false };
+
+function checkBreaker() {
+  if (breaker.openedAt === null) {
+    return;
+  }
+  
+  const remaining = breaker.openedAt + config.breakerCooldown - Date.now();
+  if (remaining > 0 || breaker.probing) {
+    const retryIn = Math.max(1, Math.ceil(remaining / 1000));
+    throw new BackendUnavailableError(`Backend ${config.baseUrl} is unavailable after ${breaker.failures} consecutive failed request(s); not retrying for another ${retryIn}s`, Math.max(0, remaining));
+  }
+  breaker.probing = true;
+}
+
+function recordSuccess() {
+  breaker.failures = 0;
+  breaker.openedAt = null;
+  breaker.probing = false;
+}
+
+function recordFailure() {
+  breaker.failures++;
+  if (breaker.probing || breaker.failures >= config.breakerThreshold) {
+    breaker.openedAt = Date.now();
+    breaker.probing = false;
+  }
+}
 
+// Requests that can safely be sent twice: reads, and writes carrying an
+// Idempotency-Key the backend uses to recognize repeats (only sent to
+// backends that say they honor it)
+const isRetrySafe = (options) =>
+  !options.method || options.method === 'GET' || Boolean(options.headers && options.headers['Idempotency-Key']);
+
+// Exponential backoff with jitter; honors Retry-After when the backend sends it
+function retryDelayFor(attempt, response) {
+  const retryAfter = response ? Number(response.headers.get('retry-after')) : NaN;
+  if (retryAfter > 0) {
+    return Math.min(retryAfter * 1000, MAX_RETRY_DELAY_MS);
+  }
+  
+  const ceiling = Math.min(config.retryDelay * 2 ** attempt, MAX_RETRY_DELAY_MS);
+  return ceiling / 2 + Math.random() * ceiling / 2;
+}
+
+// One request with the configured headers and timeout
+async function fetchOnce(path, options) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), config.timeout);
+  
   try {
-    const response = await fetch(url, requestOptions);
-    
-    if (!response.ok) {
-      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-    }
-
-    const contentType = response.headers.get('content-type');
-    if (contentType && contentType.includes('application/json')) {
-      const allData = await response.json();
-      
-      // Handle different endpoints based on the requested path
-      if (endpoint === '/api/messages') {
-        // Flatten all messages from all numeric tabs
-        const messages = [];
-        Object.keys(allData).forEach(tabKey => {
-          // Skip non-array tabs and lastSaved
-          if (Array.isArray(allData[tabKey])) {
-            allData[tabKey].forEach((message, idx) => {
-              // Create a message object with ID and content
-              messages.push({
-                id: `tab${tabKey}-msg${idx}`,
-                title: message.substring(0, 50) + (message.length > 50 ? '...' : ''),
-                content: message,
-                tabId: tabKey,
-                category: TAB_NAMES[tabKey] || `Tab ${tabKey}`
-              });
-            });
-          }
-        });
-        return { messages };
-      }
-      else if (endpoint.startsWith('/api/messages/')) {
-        // Extract ID from endpoint
-        const messageId = endpoint.split('/').pop();
-        const [tabId, msgIdx] = messageId.replace('tab', '').split('-msg');
-        
-        if (allData[tabId] && Array.isArray(allData[tabId]) && allData[tabId][msgIdx]) {
-          const message = allData[tabId][msgIdx];
-          return {
-            id: messageId,
-            title: message.substring(0, 50) + (message.length > 50 ? '...' : ''),
-            content: message,
-            tabId: tabId,
-            category: TAB_NAMES[tabId] || `Tab ${tabId}`
-          };
-        } else {
-          throw new Error(`Message not found: ${messageId}`);
-        }
-      }
-      else {
-        return allData;
-      }
-    }
-    
-    return await response.text();
+    return await fetch(`${config.baseUrl}${path}`, {
+      ...options,
+      headers: { ...getHeaders(), ...options.headers },
+      signal: controller.signal
+    });
   } catch (error) {
-    throw new Error(`API request failed: ${error.message}`);
+    if (error.name === 'AbortError') {
+      throw new BoardError('TIMEOUT', `Request to ${path} timed out after ${config.timeout}ms`, {
+        retryable: true,
+        details: { timeoutMs: config.timeout }
+      });
+    }
+    throw new BoardError('BACKEND_UNAVAILABLE', error.message, {
+      retryable: true,
+      details: error.code ? { cause: error.code } : null
+    });
+  } finally {
+    clearTimeout(timer);
   }
 }
 
-// Tool handlers
-const handlers = {
-  async get_messages(args) {
+// Fetch a backend path using the configured base URL, headers and timeout.
+// Network errors and retryable statuses are retried with backoff when the
+// request is safe to repeat; all outcomes feed the circuit breaker.
+async function backendFetch(path, options = {}) {
+  const retrySafe = isRetrySafe(options);
+  
+  for (let attempt = 0; ; attempt++) {
+    checkBreaker();
+    
+    let response = null;
+    let failure = null;
     try {
-      // Get all data
-      const allData = await apiRequest('/data.json');
-      
-      // Filter by category if specified
-      let targetTabs = Object.keys(allData).filter(key => 
-        key !== "lastSaved" && !isNaN(parseInt(key))
-      );
-      
-      if (args.category) {
-        // Find tab key by name
-        targetTabs = Object.keys(TAB_NAMES).filter(key => 
-          TAB_NAMES[key].toLowerCase() === args.category.toLowerCase()
-        );
-      }
-      
-      // Flatten all messages from target tabs
-      const messages = [];
-      
-      targetTabs.forEach(tabKey => {
-        if (Array.isArray(allData[tabKey])) {
-          allData[tabKey].forEach((message, idx) => {
-            messages.push({
-              id: `tab${tabKey}-msg${idx}`,
-              title: message.substring(0, 50) + (message.length > 50 ? '...' : ''),
-              content: message,
-              tabId: tabKey,
-              category: TAB_NAMES[tabKey] || `Tab ${tabKey}`
-            });
-          });
-        }
-      });
-      
-      // Apply pagination if specified
-      let result = messages;
-      if (args.limit) {
-        const limit = parseInt(args.limit);
-        const page = parseInt(args.page || 1);
-        const start = (page - 1) * limit;
-        result = messages.slice(start, start + limit);
-      }
-      
-      return { content: [{ type: 'text', text: JSON.stringify({ messages: result }, null, 2) }] };
+      response = await fetchOnce(path, options);
     } catch (error) {
-      return { 
-        content: [{ type: 'text', text: `Error getting messages: ${error.message}` }], 
-        isError: true 
-      };
+      failure = error;
     }
-  },
-
-  async get_message(args) {
-    try {
-      if (!args.messageId) {
-        throw new Error('messageId is required');
-      }
-      
-      // Get all data
-      const allData = await apiRequest('/data.json');
-      
-      // Parse the message ID to find tab and index
-      const [tabId, msgIdx] = args.messageId.replace('tab', '').split('-msg').map(part => parseInt(part));
-      
-      if (!tabId || isNaN(msgIdx)) {
-        throw new Error(`Invalid message ID format: ${args.messageId}`);
-      }
-      
-      const tabKey = tabId.toString();
-      
-      // Check if the tab and message exist
-      if (!allData[tabKey] || !Array.isArray(allData[tabKey]) || !allData[tabKey][msgIdx]) {
-        throw new Error(`Message not found: ${args.messageId}`);
+    
+    if (failure || response.status >= 500) {
+      recordFailure();
+    } else {
+      recordSuccess();
+    }
+    
+    const retryable = failure || RETRYABLE_STATUSES.includes(response.status);
+    if (!retryable || !retrySafe || attempt >= config.retries) {
+      if (failure) {
+        throw failure;
       }
-      
-      // Get the message
-      const message = allData[tabKey][msgIdx];
-      
-      // Create message object
-      const messageData = {
-        id: args.messageId,
-        title: message.substring(0, 50) + (message.length > 50 ? '...' : ''),
-        content: message,
-        tabId: tabKey,
-        category: TAB_NAMES[tabKey] || `Tab ${tabKey}`
-      };
-      
-      return { content: [{ type: 'text', text: JSON.stringify(messageData, null, 2) }] };
-    } catch (error) {
-      return { 
-        content: [{ type: 'text', text: `Error getting message: ${error.message}` }], 
-        isError: true 
-      };
+      return response;
     }
-  },
+    
+    await new Promise(resolve => setTimeout(resolve, retryDelayFor(attempt, response)));
+  }
+}
 
-  async create_message(args) {
-    try {
-      if (!args.title || !args.content) {
-        throw new Error('title and content are required');
-      }
+// Raised when the board changed on the server since it was read
+class WriteConflictError extends BoardError {
+  constructor(message) {
+    super('CONFLICT', message, { retryable: true });
+    this.name = 'WriteConflictError';
+  }
+}
 
-      // First get all existing data
-      const allData = await apiRequest('/data.json');
+// Storage adapters
+//
+// An adapter moves whole board snapshots in and out of a store:
+//   read({ ifNoneMatch, ifModifiedSince })
+//                             -> { data, revision, lastModified }, or null when
+//                                the stored board is unchanged since then
+//   write(data, { revision }) -> the new revision; throws WriteConflictError
+//                                when the store has moved past `revision`
+//   location                  -> where the board lives, for logs
+// Revisions are optional: without one, writes skip the staleness check.
+
+// Hosted board: GET /data.json and POST /api/save-data, with ETags as revisions
+function createHttpStorage() {
+  // Whether the backend answers a repeated Idempotency-Key with the original
+  // result, as it announces with Accept-Idempotency-Key. A backend that
+  // ignores the key would store the first attempt and reject the repeat as a
+  // conflict, and the change would then be applied a second time.
+  let honorsIdempotencyKey = false;
+  const noteIdempotency = (response) => {
+    honorsIdempotencyKey = response.headers.get('accept-idempotency-key') === 'true';
+  };
+  
+  return {
+    location: config.baseUrl,
+    
+    async read({ ifNoneMatch, ifModifiedSince } = {}) {
+      const headers = {};
+      if (ifNoneMatch) headers['If-None-Match'] = ifNoneMatch;
+      if (ifModifiedSince) headers['If-Modified-Since'] = ifModifiedSince;
       
-      // Determine which tab to add the message to
-      let tabKey = '1'; // Default to First Messages
+      const response = await backendFetch('/data.json', { headers });
+      noteIdempotency(response);
       
-      if (args.category) {
-        // Look up tab key by name
-        Object.keys(TAB_NAMES).forEach(key => {
-          if (TAB_NAMES[key].toLowerCase() === args.category.toLowerCase()) {
-            tabKey = key;
-          }
-        });
+      if (response.status === 304) {
+        return null;
+      }
+      if (!response.ok) {
+        throw httpStatusError(response);
       }
       
-      // Make sure the tab exists as an array
-      if (!allData[tabKey]) {
-        allData[tabKey] = [];
-      } else if (!Array.isArray(allData[tabKey])) {
-        // If it's not an array, convert to array with existing content as first item
-        const oldContent = allData[tabKey];
-        allData[tabKey] = [typeof oldContent === 'string' ? oldContent : JSON.stringify(oldContent)];
+      const contentType = response.headers.get('content-type');
+      if (!contentType || !contentType.includes('application/json')) {
+        throw new BoardError('BACKEND_ERROR', `Expected JSON from /data.json, got ${contentType || 'no content type'}`);
       }
       
-      // Add new message to the tab array
-      allData[tabKey].push(args.content);
+      return {
+        data: await response.json(),
+        revision: response.headers.get('etag'),
+        lastModified: response.headers.get('last-modified')
+      };
+    },
+    
+    async write(data, { revision } = {}) {
+      // The key lets the backend answer a repeated save (after a lost
+      // response) with the original result instead of a conflict. Without
+      // it the save is not retried.
+      const headers = {};
+      if (honorsIdempotencyKey) headers['Idempotency-Key'] = randomUUID();
+      if (revision) headers['If-Match'] = revision;
       
-      // Save updated data back to server
-      const saveResponse = await fetch(`${MESSAGE_BOARD_URL}/api/save-data`, {
+      const saveResponse = await backendFetch('/api/save-data', {
         method: 'POST',
-        headers: getHeaders(),
-        body: JSON.stringify(allData)
+        headers,
+        body: JSON.stringify(data)
       });
+      if (saveResponse.ok) {
+        noteIdempotency(saveResponse);
+      }
       
+      if (saveResponse.status === 409) {
+        throw new WriteConflictError('Board was modified by someone else since it was read');
+      }
       if (!saveResponse.ok) {
-        throw new Error(`Failed to save: HTTP ${saveResponse.status}`);
+        throw httpStatusError(saveResponse, `Failed to save: HTTP ${saveResponse.status}`);
       }
       
-      // Create message data for response
-      const messageData = {
-        id: `tab${tabKey}-msg${allData[tabKey].length - 1}`,
-        title: args.title,
-        content: args.content,
-        tabId: tabKey,
-        category: TAB_NAMES[tabKey] || `Tab ${tabKey}`,
-        createdAt: new Date().toISOString()
-      };
-      
-      return { content: [{ type: 'text', text: JSON.stringify(messageData, null, 2) }] };
-    } catch (error) {
-      return { 
-        content: [{ type: 'text', text: `Error creating message: ${error.message}` }], 
-        isError: true 
-      };
+      return saveResponse.headers.get('etag');
     }
-  },
+  };
+}
 
-  async update_message(args) {
+// How long a writer waits for the lock of a local board file
+const LOCK_TIMEOUT_MS = 5000;
+
+// Lock files older than this were left behind by a crashed process
+const STALE_LOCK_MS = 30000;
+
+// Local board file. Writers take an exclusive lock file next to it and
+// replace the file atomically, so readers never need the lock.
+function createFileStorage(filePath) {
+  const lockPath = `${filePath}.lock`;
+  
+  // A missing file is a valid (empty) board with its own revision
+  const revisionOf = (text) =>
+    text === null ? '"missing"' : `"${createHash('sha1').update(text).digest('hex')}"`;
+  
+  async function readText() {
     try {
-      if (!args.messageId) {
-        throw new Error('messageId is required');
+      return await readFile(filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
       }
-      
-      // Get all existing data
-      const allData = await apiRequest('/data.json');
-      
-      // Parse the message ID to find tab and index
-      const [tabId, msgIdx] = args.messageId.replace('tab', '').split('-msg').map(part => parseInt(part));
-      
-      if (!tabId || isNaN(msgIdx)) {
-        throw new Error(`Invalid message ID format: ${args.messageId}`);
+      throw error;
+    }
+  }
+  
+  async function withLock(work) {
+    const deadline = Date.now() + LOCK_TIMEOUT_MS;
+    let handle = null;
+    
+    while (!handle) {
+      try {
+        handle = await open(lockPath, 'wx');
+      } catch (error) {
+        if (error.code !== 'EEXIST') {
+          throw error;
+        }
+        
+        const lockAge = await stat(lockPath).then(stats => Date.now() - stats.mtimeMs, () => 0);
+        if (lockAge > STALE_LOCK_MS) {
+          await rm(lockPath, { force: true });
+          continue;
+        }
+        if (Date.now() > deadline) {
+          throw new BoardError('TIMEOUT', `Timed out after ${LOCK_TIMEOUT_MS}ms waiting for lock ${lockPath}`, { retryable: true });
+        }
+        await new Promise(resolve => setTimeout(resolve, 20 + Math.random() * 30));
       }
+    }
+    
+    try {
+      await handle.writeFile(String(process.pid));
+      return await work();
+    } finally {
+      await handle.close();
+      await rm(lockPath, { force: true });
+    }
+  }
+  
+  return {
+    location: filePath,
+    
+    async read({ ifNoneMatch } = {}) {
+      const text = await readText();
+      const revision = revisionOf(text);
       
-      const tabKey = tabId.toString();
-      
-      // Check if the tab and message exist
-      if (!allData[tabKey] || !Array.isArray(allData[tabKey]) || !allData[tabKey][msgIdx]) {
-        throw new Error(`Message not found: ${args.messageId}`);
+      if (ifNoneMatch && ifNoneMatch === revision) {
+        return null;
       }
-      
-      // Update message content if provided
-      if (args.content) {
-        allData[tabKey][msgIdx] = args.content;
+      if (text === null) {
+        return { data: {}, revision };
       }
       
-      // Handle category change (move to different tab)
-      if (args.category) {
-        // Find the new tab key
-        let newTabKey = tabKey;
-        
-        Object.keys(TAB_NAMES).forEach(key => {
-          if (TAB_NAMES[key].toLowerCase() === args.category.toLowerCase()) {
-            newTabKey = key;
-          }
-        });
-        
-        // If moving to a different tab
-        if (newTabKey !== tabKey) {
-          // Get the content to move
-          const messageContent = allData[tabKey][msgIdx];
-          
-          // Remove from current tab
-          allData[tabKey].splice(msgIdx, 1);
-          
-          // Make sure the new tab exists as an array
-          if (!allData[newTabKey]) {
-            allData[newTabKey] = [];
-          } else if (!Array.isArray(allData[newTabKey])) {
-            const oldContent = allData[newTabKey];
-            allData[newTabKey] = [typeof oldContent === 'string' ? oldContent : JSON.stringify(oldContent)];
-          }
-          
-          // Add to new tab
-          allData[newTabKey].push(messageContent);
-        }
+      try {
+        return { data: JSON.parse(text), revision };
+      } catch (error) {
+        throw new BoardError('BACKEND_ERROR', `Invalid JSON in ${filePath}: ${error.message}`);
       }
-      
-      // Update lastSaved timestamp
-      allData.lastSaved = new Date().toLocaleString();
-      
-      // Save updated data back to server
-      const saveResponse = await fetch(`${MESSAGE_BOARD_URL}/api/save-data`, {
-        method: 'POST',
-        headers: getHeaders(),
-        body: JSON.stringify(allData)
+    },
+    
+    write(data, { revision } = {}) {
+      return withLock(async () => {
+        if (revision && revisionOf(await readText()) !== revision) {
+          throw new WriteConflictError('Board file was modified by someone else since it was read');
+        }
+        
+        const text = JSON.stringify(data, null, 2);
+        const tempPath = `${filePath}.${process.pid}.tmp`;
+        await writeFile(tempPath, text);
+        await rename(tempPath, filePath);
+        return revisionOf(text);
       });
-      
-      if (!saveResponse.ok) {
-        throw new Error(`Failed to save: HTTP ${saveResponse.status}`);
+    }
+  };
+}
+
+// Storage adapter for the configured backend
+function createStorage() {
+  return config.storage === 'file' ? createFileStorage(config.dataFile) : createHttpStorage();
+}
+
+// Active storage adapter, set up by main() once the configuration is loaded
+let storage;
+
+// Revision each board object was read at, checked again on save
+const boardRevisions = new WeakMap();
+
+// Save the whole board back to storage
+async function saveData(allData) {
+  try {
+    const revision = await storage.write(allData, { revision: boardRevisions.get(allData) });
+    if (revision) {
+      boardRevisions.set(allData, revision);
+    }
+  } finally {
+    // Even a failed write may have reached the store
+    invalidateBoardCache();
+  }
+}
+
+// Built-in tab names, used until the board defines its own categories
+const DEFAULT_TAB_NAMES = {
+  '1': 'First Messages',
+  '2': 'Second Messages',
+  '3': 'Third Messages',
+  '4': 'Fourth Messages',
+  '5': 'Short First',
+  '6': 'Not Interested',
+  '7': 'Interested',
+  '8': 'Affiliate',
+  '9': 'Old Connections',
+  '10': 'New Task'
+};
+
+// Matches the positional IDs handed out by earlier versions, e.g. "tab3-msg5"
+const LEGACY_ID_PATTERN = /^tab(\d+)-msg(\d+)$/;
+
+// Numeric keys hold message tabs; everything else (lastSaved, ...) is metadata
+const isTabKey = (key) => key !== 'lastSaved' && !isNaN(parseInt(key));
+
+// Keys of all message tabs present on the board
+const tabKeysOf = (allData) =>
+  Object.keys(allData).filter(key => isTabKey(key) && Array.isArray(allData[key]));
+
+// Short title generated from message content
+const makeTitle = (content) => content.substring(0, 50) + (content.length > 50 ? '...' : '');
+
+// Deterministic ID for a plain-string message, so it is the same on every
+// read and is kept when the message is first saved as a record
+const contentId = (content) =>
+  'm-' + createHash('sha1').update(content).digest('hex').substring(0, 12);
+
+// Pick the first free variant of an ID ("m-abc", "m-abc-2", ...)
+function uniqueId(baseId, usedIds) {
+  let id = baseId;
+  for (let n = 2; usedIds.has(id); n++) {
+    id = `${baseId}-${n}`;
+  }
+  usedIds.add(id);
+  return id;
+}
+
+// Upgrade every message in place to a record
+// ({ id, content, title, author, tags, createdAt, updatedAt }, the optional
+// fields may be missing). Plain strings (written by the web UI or older
+// versions of this server) get a content-derived ID and remember their old
+// positional ID as legacyId.
+function normalizeBoard(allData) {
+  const tabKeys = tabKeysOf(allData);
+  const usedIds = new Set();
+  
+  tabKeys.forEach(tabKey => {
+    allData[tabKey].forEach(entry => {
+      if (isPlainObject(entry) && typeof entry.id === 'string') {
+        usedIds.add(entry.id);
+      }
+    });
+  });
+  
+  tabKeys.forEach(tabKey => {
+    allData[tabKey] = allData[tabKey].map((entry, idx) => {
+      if (isPlainObject(entry) && typeof entry.id === 'string') {
+        return entry;
       }
       
-      // Create updated message data for response
-      const updatedMessage = {
-        id: args.messageId,
-        content: args.content || allData[tabKey][msgIdx],
-        tabId: tabKey,
-        category: TAB_NAMES[tabKey] || `Tab ${tabKey}`,
-        updatedAt: new Date().toISOString()
-      };
-      
-      if (args.title) {
-        updatedMessage.title = args.title;
+      if (isPlainObject(entry)) {
+        const content = typeof entry.content === 'string' ? entry.content : '';
+        return { ...entry, id: uniqueId(contentId(content), usedIds), content };
       }
       
-      return { content: [{ type: 'text', text: JSON.stringify(updatedMessage, null, 2) }] };
-    } catch (error) {
-      return { 
-        content: [{ type: 'text', text: `Error updating message: ${error.message}` }], 
-        isError: true 
+      const content = typeof entry === 'string' ? entry : JSON.stringify(entry);
+      return {
+        id: uniqueId(contentId(content), usedIds),
+        content,
+        legacyId: `tab${tabKey}-msg${idx}`
       };
+    });
+  });
+  
+  return allData;
+}
+
+// Make sure a tab exists as an array of records
+function ensureTab(allData, tabKey) {
+  if (!allData[tabKey]) {
+    allData[tabKey] = [];
+  } else if (!Array.isArray(allData[tabKey])) {
+    // If it's not an array, convert to array with existing content as first item
+    const oldContent = allData[tabKey];
+    const content = typeof oldContent === 'string' ? oldContent : JSON.stringify(oldContent);
+    allData[tabKey] = [{ id: randomUUID(), content }];
+  }
+  
+  return allData[tabKey];
+}
+
+// Categories (tab names) of the board as { tabKey: name }.
+// Once the board stores a `categories` map it is authoritative; before that
+// the built-in names apply. Tabs present in the data but not named anywhere
+// (e.g. created by the web UI) are listed as "Tab N".
+function getCategories(allData) {
+  const names = {};
+  
+  if (isPlainObject(allData.categories)) {
+    Object.keys(allData.categories).forEach(key => {
+      const entry = allData.categories[key];
+      if (isTabKey(key) && isPlainObject(entry) && typeof entry.name === 'string') {
+        names[key] = entry.name;
+      }
+    });
+  } else {
+    Object.assign(names, DEFAULT_TAB_NAMES);
+  }
+  
+  tabKeysOf(allData).forEach(key => {
+    if (!names[key]) {
+      names[key] = DEFAULT_TAB_NAMES[key] || `Tab ${key}`;
     }
-  },
+  });
+  
+  return names;
+}
 
-  async delete_message(args) {
+// Store category names on the board
+function setCategories(allData, names) {
+  allData.categories = {};
+  Object.keys(names).forEach(key => {
+    allData.categories[key] = { name: names[key] };
+  });
+}
+
+// Display name of a tab
+const categoryName = (allData, tabKey) => getCategories(allData)[tabKey] || `Tab ${tabKey}`;
+
+// Tab key for a category name or tab ID, or null when there is no such category
+function findTabKey(allData, category) {
+  const names = getCategories(allData);
+  const wanted = String(category).trim().toLowerCase();
+  
+  if (names[wanted]) {
+    return wanted;
+  }
+  return Object.keys(names).find(key => names[key].toLowerCase() === wanted) || null;
+}
+
+// Tab key for a category name or tab ID, failing when there is no such category
+function requireTabKey(allData, category) {
+  const tabKey = findTabKey(allData, category);
+  if (!tabKey) {
+    throw new BoardError('NOT_FOUND', `Unknown category: ${category}`, { details: { category } });
+  }
+  return tabKey;
+}
+
+// Tab for messages that name no category: First Messages while it exists,
+// else the first remaining category. Never brings back a deleted tab.
+function defaultTabKey(allData) {
+  const tabKey = findTabKey(allData, '1') || Object.keys(getCategories(allData)).sort((a, b) => a - b)[0];
+  if (!tabKey) {
+    throw new BoardError('NOT_FOUND', 'The board has no categories; create one first', { details: { category: null } });
+  }
+  return tabKey;
+}
+
+// Locate a message by stable ID, or by legacy "tabN-msgM" ID when that still
+// identifies exactly one message
+function findMessage(allData, messageId) {
+  const legacy = LEGACY_ID_PATTERN.test(messageId);
+  const matches = [];
+  
+  tabKeysOf(allData).forEach(tabKey => {
+    allData[tabKey].forEach((record, index) => {
+      if ((legacy ? record.legacyId : record.id) === messageId) {
+        matches.push({ tabKey, index, record });
+      }
+    });
+  });
+  
+  if (matches.length > 1) {
+    throw new BoardError('AMBIGUOUS_ID', `Message ID is ambiguous: ${messageId} matches ${matches.length} messages, call get_messages for current IDs`, {
+      details: { messageId, matches: matches.map(match => match.record.id) }
+    });
+  }
+  if (matches.length === 0) {
+    throw new BoardError('NOT_FOUND', `Message not found: ${messageId}`, { details: { messageId } });
+  }
+  
+  return matches[0];
+}
+
+// Message object returned by tools; fills in what older records lack
+const messageView = (allData, record, tabKey) => ({
+  id: record.id,
+  title: record.title || makeTitle(record.content),
+  content: record.content,
+  author: record.author || null,
+  tags: Array.isArray(record.tags) ? record.tags : [],
+  tabId: tabKey,
+  category: categoryName(allData, tabKey),
+  createdAt: record.createdAt || null,
+  updatedAt: record.updatedAt || null
+});
+
+// Last board read, kept as raw JSON. Reads within cacheTtl reuse it; after
+// that it is revalidated with a conditional request. Our own writes drop it.
+const boardCache = { data: null, revision: null, lastModified: null, checkedAt: 0 };
+
+function invalidateBoardCache() {
+  boardCache.data = null;
+}
+
+// Fresh copy of a snapshot, safe for the caller to modify
+function boardFrom({ data, revision }) {
+  const allData = structuredClone(data);
+  if (revision) {
+    boardRevisions.set(allData, revision);
+  }
+  return normalizeBoard(allData);
+}
+
+// Read the whole board with every message upgraded to a record.
+// `fresh` skips the TTL and always checks with the backend.
+async function loadBoard({ fresh = false } = {}) {
+  const cached = config.cacheTtl > 0 && boardCache.data ? boardCache : null;
+  if (cached && !fresh && Date.now() - cached.checkedAt < config.cacheTtl) {
+    return boardFrom(cached);
+  }
+  
+  let snapshot;
+  try {
+    snapshot = await storage.read(cached ? {
+      ifNoneMatch: cached.revision,
+      ifModifiedSince: cached.lastModified
+    } : {});
+  } catch (error) {
+    throw withContext(error, `Failed to read board from ${storage.location}`);
+  }
+  
+  if (!snapshot) {
+    cached.checkedAt = Date.now();
+    return boardFrom(cached);
+  }
+  if (config.cacheTtl > 0) {
+    Object.assign(boardCache, {
+      data: snapshot.data,
+      revision: snapshot.revision || null,
+      lastModified: snapshot.lastModified || null,
+      checkedAt: Date.now()
+    });
+  }
+  return boardFrom(snapshot);
+}
+
+// Read-modify-write cycle with compare-and-swap semantics.
+// `apply` edits a freshly read board and returns the tool result; when the
+// save is rejected as stale, the board is re-read and `apply` runs again.
+// The board is snapshotted before it is replaced, and changes made by a
+// `tool` are recorded in the journal for undo.
+async function mutateBoard(apply, tool = null) {
+  for (let attempt = 0; ; attempt++) {
+    const allData = await loadBoard({ fresh: true });
+    const before = structuredClone(allData);
+    const result = apply(allData);
+    
     try {
-      if (!args.messageId) {
-        throw new Error('messageId is required');
+      await takeSnapshot(before, boardRevisions.get(allData), tool);
+      await saveData(allData);
+      if (tool) {
+        await recordChange(tool, before, allData);
       }
-      
-      // Get all existing data
-      const allData = await apiRequest('/data.json');
-      
-      // Parse the message ID to find tab and index
-      const [tabId, msgIdx] = args.messageId.replace('tab', '').split('-msg').map(part => parseInt(part));
-      
-      if (!tabId || isNaN(msgIdx)) {
-        throw new Error(`Invalid message ID format: ${args.messageId}`);
+      return result;
+    } catch (error) {
+      if (!(error instanceof WriteConflictError)) {
+        throw error;
       }
-      
-      const tabKey = tabId.toString();
-      
-      // Check if the tab and message exist
-      if (!allData[tabKey] || !Array.isArray(allData[tabKey]) || !allData[tabKey][msgIdx]) {
-        throw new Error(`Message not found: ${args.messageId}`);
+      if (attempt >= config.conflictRetries) {
+        throw new WriteConflictError(`Write conflict: the board kept changing, gave up after ${attempt + 1} attempt(s)`);
       }
-      
-      // Store the deleted message for the response
-      const deletedMessage = allData[tabKey][msgIdx];
-      
-      // Remove message from array
-      allData[tabKey].splice(msgIdx, 1);
-      
-      // Update lastSaved timestamp
-      allData.lastSaved = new Date().toLocaleString();
-      
-      // Save updated data back to server
-      const saveResponse = await fetch(`${MESSAGE_BOARD_URL}/api/save-data`, {
-        method: 'POST',
-        headers: getHeaders(),
-        body: JSON.stringify(allData)
-      });
-      
-      if (!saveResponse.ok) {
-        throw new Error(`Failed to save: HTTP ${saveResponse.status}`);
+      // Small randomized pause so competing writers do not collide again
+      await new Promise(resolve => setTimeout(resolve, 50 + Math.random() * 100 * (attempt + 1)));
+    }
+  }
+}
+
+// Run a change and save it, or with `dryRun` apply it to a copy of the board
+// and report the result it would have together with the diff; nothing is saved
+async function applyChange(tool, args, apply) {
+  if (!args.dryRun) {
+    return mutateBoard(apply, tool);
+  }
+  
+  const allData = await loadBoard({ fresh: true });
+  const before = structuredClone(allData);
+  const result = apply(allData);
+  return { ...result, dryRun: true, diff: diffBoards(before, allData) };
+}
+
+// Full-text search
+
+// Fold text for matching (lowercase, accents removed) while remembering, for
+// every folded character, its offset in the original text for highlighting
+function foldWithOffsets(text) {
+  let folded = '';
+  const offsets = [];
+  let original = 0;
+  
+  for (const ch of text) {
+    const foldedChar = ch.normalize('NFD').replace(/\p{M}/gu, '').toLowerCase();
+    for (let k = 0; k < foldedChar.length; k++) {
+      offsets.push(original);
+    }
+    folded += foldedChar;
+    original += ch.length;
+  }
+  offsets.push(text.length);
+  
+  return { folded, offsets };
+}
+
+// Split text into folded word tokens with their original positions
+function tokenize(text) {
+  const { folded, offsets } = foldWithOffsets(text);
+  const tokens = [];
+  
+  for (const match of folded.matchAll(/[\p{L}\p{N}]+/gu)) {
+    tokens.push({
+      term: match[0],
+      start: offsets[match.index],
+      end: offsets[match.index + match[0].length]
+    });
+  }
+  
+  return tokens;
+}
+
+// Parse a search query into an expression tree.
+// Supports "quoted phrases", AND, OR, NOT (upper case), -term and parentheses;
+// terms next to each other are combined with AND.
+function parseQuery(query) {
+  const lexemes = [];
+  const pattern = /\s*(?:(\()|(\))|"([^"]*)("?)|(-)?([^\s()"]+))/gy;
+  let match;
+  
+  while (pattern.lastIndex < query.length && (match = pattern.exec(query))) {
+    if (match[1]) lexemes.push({ type: '(' });
+    else if (match[2]) lexemes.push({ type: ')' });
+    else if (match[3] !== undefined) {
+      if (!match[4]) throw new BoardError('INVALID_ARGUMENT', 'Invalid query: unterminated quote');
+      lexemes.push({ type: 'phrase', text: match[3] });
+    }
+    else if (match[6]) {
+      const word = match[6];
+      if (!match[5] && (word === 'AND' || word === 'OR' || word === 'NOT')) {
+        lexemes.push({ type: word });
+      } else {
+        if (match[5]) lexemes.push({ type: 'NOT' });
+        lexemes.push({ type: 'phrase', text: word });
       }
+    }
+    else break;
+  }
+  
+  let pos = 0;
+  const peek = () => lexemes[pos];
+  
+  // Turn text into a single-term or phrase node
+  const textNode = (text) => {
+    const terms = tokenize(text).map(token => token.term);
+    if (terms.length === 0) return null;
+    return terms.length === 1 ? { type: 'term', term: terms[0] } : { type: 'phrase', terms };
+  };
+  
+  const parseOr = () => {
+    const children = [parseAnd()];
+    while (peek() && peek().type === 'OR') {
+      pos++;
+      children.push(parseAnd());
+    }
+    return children.length === 1 ? children[0] : { type: 'or', children };
+  };
+  
+  const parseAnd = () => {
+    const children = [parseNot()];
+    while (peek() && peek().type !== 'OR' && peek().type !== ')') {
+      if (peek().type === 'AND') pos++;
+      children.push(parseNot());
+    }
+    return children.length === 1 ? children[0] : { type: 'and', children };
+  };
+  
+  const parseNot = () => {
+    if (peek() && peek().type === 'NOT') {
+      pos++;
+      return { type: 'not', child: parseNot() };
+    }
+    return parsePrimary();
+  };
+  
+  const parsePrimary = () => {
+    const lexeme = lexemes[pos++];
+    if (!lexeme) throw new BoardError('INVALID_ARGUMENT', 'Invalid query: unexpected end of query');
+    if (lexeme.type === '(') {
+      const node = parseOr();
+      if (!peek() || peek().type !== ')') throw new BoardError('INVALID_ARGUMENT', 'Invalid query: missing closing parenthesis');
+      pos++;
+      return node;
+    }
+    if (lexeme.type === 'phrase') {
+      return textNode(lexeme.text) || { type: 'empty' };
+    }
+    throw new BoardError('INVALID_ARGUMENT', `Invalid query: unexpected ${lexeme.type}`);
+  };
+  
+  if (lexemes.length === 0) throw new BoardError('INVALID_ARGUMENT', 'Invalid query: query is empty');
+  const tree = parseOr();
+  if (pos < lexemes.length) throw new BoardError('INVALID_ARGUMENT', `Invalid query: unexpected ${peek().type}`);
+  
+  return tree;
+}
+
+// Searchable form of a message
+function indexMessage(allData, record, tabKey) {
+  const view = messageView(allData, record, tabKey);
+  const contentTokens = tokenize(view.content);
+  const titleTokens = record.title ? tokenize(record.title) : [];
+  
+  return { view, title: record.title || '', contentTokens, titleTokens, length: contentTokens.length + titleTokens.length };
+}
+
+// Find phrase (or single term) occurrences in a token list as [start, end] spans
+function findOccurrences(tokens, terms) {
+  const spans = [];
+  for (let i = 0; i + terms.length <= tokens.length; i++) {
+    if (terms.every((term, k) => tokens[i + k].term === term)) {
+      spans.push([tokens[i].start, tokens[i + terms.length - 1].end]);
+    }
+  }
+  return spans;
+}
+
+// Evaluate a query tree against an indexed message.
+// Returns null when it does not match, otherwise its score and content spans.
+function evaluateQuery(node, doc, stats) {
+  switch (node.type) {
+    case 'empty':
+      return { score: 0, spans: [] };
+    
+    case 'term':
+    case 'phrase': {
+      const terms = node.type === 'term' ? [node.term] : node.terms;
+      const spans = findOccurrences(doc.contentTokens, terms);
+      const titleHits = findOccurrences(doc.titleTokens, terms).length;
+      if (spans.length === 0 && titleHits === 0) return null;
       
-      const result = {
-        success: true,
-        messageId: args.messageId,
-        tabId: tabKey,
-        category: TAB_NAMES[tabKey] || `Tab ${tabKey}`,
-        deletedAt: new Date().toISOString()
+      // BM25 weighting, title hits count double, phrases weigh per term
+      const tf = spans.length + 2 * titleHits;
+      const norm = tf + 1.2 * (0.25 + 0.75 * doc.length / stats.averageLength);
+      const idf = terms.reduce((sum, term) => {
+        const df = stats.documentFrequency.get(term) || 0;
+        return sum + Math.log(1 + (stats.count - df + 0.5) / (df + 0.5));
+      }, 0);
+      return { score: idf * tf * 2.2 / norm, spans };
+    }
+    
+    case 'not':
+      return evaluateQuery(node.child, doc, stats) ? null : { score: 0, spans: [] };
+    
+    case 'and': {
+      const results = [];
+      for (const child of node.children) {
+        const result = evaluateQuery(child, doc, stats);
+        if (!result) return null;
+        results.push(result);
+      }
+      return {
+        score: results.reduce((sum, result) => sum + result.score, 0),
+        spans: results.flatMap(result => result.spans)
       };
-      
-      return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }] };
-    } catch (error) {
-      return { 
-        content: [{ type: 'text', text: `Error deleting message: ${error.message}` }], 
-        isError: true 
+    }
+    
+    case 'or': {
+      const results = node.children.map(child => evaluateQuery(child, doc, stats)).filter(Boolean);
+      if (results.length === 0) return null;
+      return {
+        score: results.reduce((sum, result) => sum + result.score, 0),
+        spans: results.flatMap(result => result.spans)
       };
     }
-  },
+    
+    default:
+      throw new Error(`Unknown query node: ${node.type}`);
+  }
+}
 
-  async get_categories(args) {
-    try {
-      // Simply return predefined tabs
-      const categories = Object.keys(TAB_NAMES).map(key => ({
-        id: key,
-        name: TAB_NAMES[key]
-      }));
-      
-      return { content: [{ type: 'text', text: JSON.stringify({ categories }, null, 2) }] };
-    } catch (error) {
-      return { 
-        content: [{ type: 'text', text: `Error getting categories: ${error.message}` }], 
-        isError: true 
-      };
+// Cut a snippet of the content around the first match, marking matches with **
+function makeSnippet(content, spans, width = 160) {
+  const sorted = [...spans].sort((a, b) => a[0] - b[0]);
+  const merged = [];
+  sorted.forEach(([start, end]) => {
+    const last = merged[merged.length - 1];
+    if (last && start <= last[1]) last[1] = Math.max(last[1], end);
+    else merged.push([start, end]);
+  });
+  
+  const anchor = merged.length > 0 ? merged[0][0] : 0;
+  const from = Math.max(0, Math.min(anchor - Math.floor(width / 3), content.length - width));
+  const to = Math.min(content.length, from + width);
+  
+  let snippet = '';
+  let cursor = from;
+  merged.filter(([start, end]) => start >= from && end <= to).forEach(([start, end]) => {
+    snippet += content.slice(cursor, start) + '**' + content.slice(start, end) + '**';
+    cursor = end;
+  });
+  snippet += content.slice(cursor, to);
+  
+  return (from > 0 ? '…' : '') + snippet.replace(/\s+/g, ' ') + (to < content.length ? '…' : '');
+}
+
+// Regular expressions get this long (for all contents and titles together,
+// which are matched in one run) before the search is aborted
+const REGEX_TIMEOUT_MS = 1000;
+
+// Supported search modes
+const SEARCH_MODES = ['text', 'regex', 'fuzzy'];
+
+// Run a regular expression over many texts in a separate VM context, so a
+// catastrophic pattern is interrupted by the timeout instead of hanging the server
+function regexSpans(pattern, texts) {
+  const context = vm.createContext({ pattern, texts, result: null });
+  
+  try {
+    vm.runInContext(
+      'const re = new RegExp(pattern, "gi");' +
+      'result = texts.map(text => Array.from(text.matchAll(re), m => [m.index, m.index + m[0].length]));',
+      context,
+      { timeout: REGEX_TIMEOUT_MS }
+    );
+  } catch (error) {
+    if (error.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT') {
+      throw new BoardError('INVALID_ARGUMENT', `Regular expression took longer than ${REGEX_TIMEOUT_MS}ms, simplify the pattern`);
     }
+    throw new BoardError('INVALID_ARGUMENT', error.message);
   }
-};
+  
+  return context.result;
+}
 
-// Tool definitions
-const tools = [
+// Levenshtein distance, giving up (returning Infinity) once it exceeds max
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return Infinity;
+  
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return Infinity;
+    previous = current;
+  }
+  
+  return previous[b.length] <= max ? previous[b.length] : Infinity;
+}
+
+// Default fuzzy threshold: exact for short words, more slack for longer ones
+const defaultMaxDistance = (term) => (term.length <= 3 ? 0 : term.length <= 7 ? 1 : 2);
+
+// Fuzzy match: every query word must be within the edit distance of some word
+// of the message; closer and more frequent matches rank higher
+function fuzzyMatch(terms, doc, maxDistance) {
+  let score = 0;
+  const spans = [];
+  
+  for (const term of terms) {
+    const limit = maxDistance === undefined ? defaultMaxDistance(term) : maxDistance;
+    let best = 0;
+    
+    [[doc.contentTokens, 1], [doc.titleTokens, 2]].forEach(([tokens, weight]) => {
+      tokens.forEach(token => {
+        const distance = editDistance(term, token.term, limit);
+        if (distance === Infinity) return;
+        const similarity = 1 - distance / Math.max(term.length, token.term.length);
+        best = Math.max(best, similarity * weight);
+        score += similarity * weight * 0.1;
+        if (weight === 1) spans.push([token.start, token.end]);
+      });
+    });
+    
+    if (best === 0) return null;
+    score += best;
+  }
+  
+  return { score, spans };
+}
+
+// Rank messages of the given tabs against a query.
+// mode "text" parses the boolean query language, "regex" treats the query as
+// a case-insensitive regular expression, "fuzzy" tolerates typos per word.
+function searchBoard(allData, query, tabKeys, { mode = 'text', maxDistance } = {}) {
+  const docs = [];
+  tabKeys.forEach(tabKey => {
+    (allData[tabKey] || []).forEach(record => docs.push(indexMessage(allData, record, tabKey)));
+  });
+  
+  let match;
+  
+  if (mode === 'regex') {
+    // One run for contents and titles, so the timeout covers the whole search.
+    // Only stored titles count: a generated one repeats the content.
+    const spans = regexSpans(query, [...docs.map(doc => doc.view.content), ...docs.map(doc => doc.title)]);
+    const contentSpans = spans.slice(0, docs.length);
+    const titleSpans = spans.slice(docs.length);
+    const results = new Map(docs.map((doc, i) => {
+      const count = contentSpans[i].length + 2 * titleSpans[i].length;
+      const spans = contentSpans[i].filter(([start, end]) => end > start);
+      return [doc, count > 0 ? { score: count, spans } : null];
+    }));
+    match = (doc) => results.get(doc);
+  }
+  else if (mode === 'fuzzy') {
+    const terms = tokenize(query).map(token => token.term);
+    if (terms.length === 0) throw new BoardError('INVALID_ARGUMENT', 'Invalid query: query is empty');
+    match = (doc) => fuzzyMatch(terms, doc, maxDistance);
+  }
+  else {
+    const tree = parseQuery(query);
+    const documentFrequency = new Map();
+    docs.forEach(doc => {
+      new Set([...doc.contentTokens, ...doc.titleTokens].map(token => token.term)).forEach(term => {
+        documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+      });
+    });
+    const stats = {
+      count: docs.length,
+      averageLength: docs.reduce((sum, doc) => sum + doc.length, 0) / (docs.length || 1) || 1,
+      documentFrequency
+    };
+    match = (doc) => evaluateQuery(tree, doc, stats);
+  }
+  
+  const hits = [];
+  docs.forEach(doc => {
+    const result = match(doc);
+    if (result) {
+      hits.push({
+        id: doc.view.id,
+        title: doc.view.title,
+        tabId: doc.view.tabId,
+        category: doc.view.category,
+        score: Math.round(result.score * 1000) / 1000,
+        snippet: makeSnippet(doc.view.content, result.spans)
+      });
+    }
+  });
+  
+  return hits.sort((a, b) => b.score - a.score);
+}
+
+// Templates
+// Messages may contain placeholders:
+//   {{firstName}}                       variable
+//   {{company|your team}}               variable with a default
+//   {{#if company}}...{{else}}...{{/if}} conditional ({{#unless}} for the opposite)
+
+const TEMPLATE_TAG = /\{\{\s*([\s\S]*?)\s*\}\}/g;
+// Variables are flat, so names have no dots (no "{{company.name}}" paths)
+const VARIABLE_NAME = /^[A-Za-z_]\w*$/;
+
+// Parse template text into a tree of text, variable and condition nodes
+function parseTemplate(text) {
+  const root = [];
+  // Open blocks, innermost last; `list` is where parsed nodes currently go
+  const stack = [{ node: null, list: root }];
+  const top = () => stack[stack.length - 1];
+  let cursor = 0;
+  
+  for (const match of text.matchAll(TEMPLATE_TAG)) {
+    if (match.index > cursor) {
+      top().list.push({ type: 'text', text: text.slice(cursor, match.index) });
+    }
+    cursor = match.index + match[0].length;
+    const tag = match[1];
+    
+    const block = tag.match(/^#(if|unless)\s+(\S+)$/);
+    if (block) {
+      if (!VARIABLE_NAME.test(block[2])) {
+        throw new BoardError('INVALID_TEMPLATE', `Invalid template: bad variable name in {{${tag}}}`);
+      }
+      const node = { type: 'condition', block: block[1], name: block[2], then: [], otherwise: [] };
+      top().list.push(node);
+      stack.push({ node, list: node.then });
+    }
+    else if (tag === 'else') {
+      const frame = top();
+      if (!frame.node || frame.list === frame.node.otherwise) {
+        throw new BoardError('INVALID_TEMPLATE', 'Invalid template: {{else}} outside of {{#if}}');
+      }
+      frame.list = frame.node.otherwise;
+    }
+    else if (tag === '/if' || tag === '/unless') {
+      const frame = top();
+      if (!frame.node || `/${frame.node.block}` !== tag) {
+        throw new BoardError('INVALID_TEMPLATE', `Invalid template: unexpected {{${tag}}}`);
+      }
+      stack.pop();
+    }
+    else {
+      const separator = tag.indexOf('|');
+      const name = (separator === -1 ? tag : tag.slice(0, separator)).trim();
+      if (!VARIABLE_NAME.test(name)) {
+        // Not a placeholder (e.g. "{{ }}" in prose), keep it as text
+        top().list.push({ type: 'text', text: match[0] });
+        continue;
+      }
+      top().list.push({
+        type: 'variable',
+        name,
+        default: separator === -1 ? undefined : tag.slice(separator + 1).trim()
+      });
+    }
+  }
+  
+  if (stack.length > 1) {
+    throw new BoardError('INVALID_TEMPLATE', `Invalid template: missing {{/${top().node.block}}}`);
+  }
+  if (cursor < text.length) {
+    root.push({ type: 'text', text: text.slice(cursor) });
+  }
+  
+  return root;
+}
+
+// A variable value counts as set unless it is missing, null, false or empty
+const isSet = (value) => value !== undefined && value !== null && value !== false && value !== '';
+
+// Value of a variable; only own properties count, so names like
+// "constructor" or "toString" do not pick up Object.prototype members
+const variableValue = (variables, name) => (Object.hasOwn(variables, name) ? variables[name] : undefined);
+
+// Render a parsed template. Variables without a value or default stay as
+// {{name}} placeholders and are reported as missing.
+function renderTemplate(nodes, variables, missing = new Set()) {
+  const text = nodes.map(node => {
+    if (node.type === 'text') {
+      return node.text;
+    }
+    if (node.type === 'variable') {
+      const value = variableValue(variables, node.name);
+      if (isSet(value)) {
+        return String(value);
+      }
+      if (node.default !== undefined) {
+        return node.default;
+      }
+      missing.add(node.name);
+      return `{{${node.name}}}`;
+    }
+    const truthy = isSet(variableValue(variables, node.name)) !== (node.block === 'unless');
+    return renderTemplate(truthy ? node.then : node.otherwise, variables, missing).text;
+  }).join('');
+  
+  return { text, missing };
+}
+
+// Describe the variables a parsed template uses
+function templateVariables(nodes, found = new Map(), conditional = false) {
+  const entry = (name) => {
+    if (!found.has(name)) {
+      found.set(name, { name, required: false, defaults: [], usedInConditions: false, occurrences: 0 });
+    }
+    return found.get(name);
+  };
+  
+  nodes.forEach(node => {
+    if (node.type === 'variable') {
+      const variable = entry(node.name);
+      variable.occurrences++;
+      if (node.default !== undefined) {
+        if (!variable.defaults.includes(node.default)) variable.defaults.push(node.default);
+      } else if (!conditional) {
+        // Always rendered and has no fallback
+        variable.required = true;
+      }
+    }
+    else if (node.type === 'condition') {
+      entry(node.name).usedInConditions = true;
+      templateVariables(node.then, found, true);
+      templateVariables(node.otherwise, found, true);
+    }
+  });
+  
+  return [...found.values()];
+}
+
+// Board diffs
+// Dry runs report what a change would do: which categories and messages it
+// adds, removes, edits or moves, as a list of changes and as readable text.
+
+// Message fields compared by diffs, as tools show them (timestamps always
+// change and are left out)
+const diffFields = (record) => ({
+  title: record.title || makeTitle(record.content),
+  content: record.content,
+  author: record.author || null,
+  tags: Array.isArray(record.tags) ? record.tags : []
+});
+
+// Index pairs [i, j] of a longest common subsequence of two arrays
+function commonSubsequence(a, b) {
+  const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+  
+  const pairs = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      pairs.push([i, j]);
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+  return pairs;
+}
+
+// Line diff of two texts ("- " removed, "+ " added), with one unchanged
+// line of context around each change and "..." for skipped lines
+function lineDiff(before, after) {
+  const a = before.split('\n');
+  const b = after.split('\n');
+  const lines = [];
+  let i = 0;
+  let j = 0;
+  
+  [...commonSubsequence(a, b), [a.length, b.length]].forEach(([nextA, nextB]) => {
+    while (i < nextA) lines.push({ op: '-', text: a[i++] });
+    while (j < nextB) lines.push({ op: '+', text: b[j++] });
+    if (nextA < a.length) {
+      lines.push({ op: ' ', text: a[nextA] });
+      i++;
+      j++;
+    }
+  });
+  
+  const changed = (index) => lines[index] !== undefined && lines[index].op !== ' ';
+  const output = [];
+  let skipped = false;
+  lines.forEach((line, index) => {
+    if (line.op === ' ' && !changed(index - 1) && !changed(index + 1)) {
+      skipped = true;
+      return;
+    }
+    if (skipped) output.push('...');
+    skipped = false;
+    output.push(`${line.op} ${line.text}`);
+  });
+  return output;
+}
+
+// Where every message of a board is, by ID
+function locateMessages(allData) {
+  const locations = new Map();
+  tabKeysOf(allData).forEach(tabKey => {
+    allData[tabKey].forEach((record, position) => {
+      locations.set(record.id, { record, tabKey, position });
+    });
+  });
+  return locations;
+}
+
+// Changes between two versions of a board
+function boardChanges(before, after) {
+  const changes = [];
+  
+  const oldNames = getCategories(before);
+  const newNames = getCategories(after);
+  new Set([...Object.keys(oldNames), ...Object.keys(newNames)]).forEach(tabKey => {
+    if (!newNames[tabKey]) {
+      changes.push({ type: 'category_removed', tabId: tabKey, name: oldNames[tabKey] });
+    } else if (!oldNames[tabKey]) {
+      changes.push({ type: 'category_added', tabId: tabKey, name: newNames[tabKey] });
+    } else if (oldNames[tabKey] !== newNames[tabKey]) {
+      changes.push({ type: 'category_renamed', tabId: tabKey, from: oldNames[tabKey], to: newNames[tabKey] });
+    }
+  });
+  
+  const was = locateMessages(before);
+  const now = locateMessages(after);
+  const titleOf = ({ record }) => diffFields(record).title;
+  
+  was.forEach((old, id) => {
+    if (!now.has(id)) {
+      changes.push({ type: 'message_removed', id, title: titleOf(old), tabId: old.tabKey, position: old.position });
+    }
+  });
+  
+  now.forEach((current, id) => {
+    const old = was.get(id);
+    if (!old) {
+      changes.push({ type: 'message_added', id, title: titleOf(current), tabId: current.tabKey, position: current.position });
+      return;
+    }
+    
+    const oldFields = diffFields(old.record);
+    const newFields = diffFields(current.record);
+    const fields = {};
+    Object.keys(newFields).forEach(field => {
+      if (JSON.stringify(oldFields[field]) !== JSON.stringify(newFields[field])) {
+        fields[field] = { from: oldFields[field], to: newFields[field] };
+      }
+    });
+    if (Object.keys(fields).length > 0) {
+      changes.push({ type: 'message_modified', id, title: titleOf(current), tabId: current.tabKey, fields });
+    }
+    
+    if (old.tabKey !== current.tabKey) {
+      changes.push({
+        type: 'message_moved',
+        id,
+        title: titleOf(current),
+        from: { tabId: old.tabKey, position: old.position },
+        to: { tabId: current.tabKey, position: current.position }
+      });
+    }
+  });
+  
+  // Within a tab, only messages outside the longest run that kept its
+  // relative order count as moved; the rest merely shifted
+  tabKeysOf(after).forEach(tabKey => {
+    if (!Array.isArray(before[tabKey])) {
+      return;
+    }
+    const stayed = (allData) => allData[tabKey].map(record => record.id)
+      .filter(id => was.has(id) && now.has(id) && was.get(id).tabKey === tabKey && now.get(id).tabKey === tabKey);
+    const oldOrder = stayed(before);
+    const newOrder = stayed(after);
+    const kept = new Set(commonSubsequence(oldOrder, newOrder).map(([i]) => oldOrder[i]));
+    
+    newOrder.filter(id => !kept.has(id)).forEach(id => {
+      changes.push({
+        type: 'message_moved',
+        id,
+        title: titleOf(now.get(id)),
+        from: { tabId: tabKey, position: was.get(id).position },
+        to: { tabId: tabKey, position: now.get(id).position }
+      });
+    });
+  });
+  
+  return changes;
+}
+
+// Readable rendering of board changes, grouped by tab
+function formatChanges(changes, before, after) {
+  if (changes.length === 0) {
+    return 'No changes';
+  }
+  
+  const tabLabel = (tabKey) => {
+    const board = getCategories(after)[tabKey] ? after : before;
+    return `${categoryName(board, tabKey)} (tab ${tabKey})`;
+  };
+  
+  const counts = {};
+  changes.forEach(change => {
+    const kind = change.type.split('_')[1];
+    counts[kind] = (counts[kind] || 0) + 1;
+  });
+  const lines = [`${changes.length} change(s): ${Object.keys(counts).map(kind => `${counts[kind]} ${kind}`).join(', ')}`];
+  
+  const byTab = new Map();
+  changes.forEach(change => {
+    const tabKey = change.type === 'message_moved' ? change.to.tabId : change.tabId;
+    if (!byTab.has(tabKey)) byTab.set(tabKey, []);
+    byTab.get(tabKey).push(change);
+  });
+  
+  byTab.forEach((tabChanges, tabKey) => {
+    lines.push('', tabLabel(tabKey));
+    tabChanges.forEach(change => {
+      switch (change.type) {
+        case 'category_added':
+          lines.push(`  + category ${JSON.stringify(change.name)}`);
+          break;
+        case 'category_removed':
+          lines.push(`  - category ${JSON.stringify(change.name)}`);
+          break;
+        case 'category_renamed':
+          lines.push(`  ~ category renamed from ${JSON.stringify(change.from)} to ${JSON.stringify(change.to)}`);
+          break;
+        case 'message_added':
+          lines.push(`  + ${change.id} ${JSON.stringify(change.title)} at position ${change.position}`);
+          break;
+        case 'message_removed':
+          lines.push(`  - ${change.id} ${JSON.stringify(change.title)} (was at position ${change.position})`);
+          break;
+        case 'message_moved': {
+          const from = change.from.tabId === change.to.tabId
+            ? `position ${change.from.position}`
+            : `${tabLabel(change.from.tabId)} position ${change.from.position}`;
+          lines.push(`  > ${change.id} ${JSON.stringify(change.title)} moved from ${from} to position ${change.to.position}`);
+          break;
+        }
+        case 'message_modified':
+          lines.push(`  ~ ${change.id} ${JSON.stringify(change.title)}`);
+          Object.keys(change.fields).forEach(field => {
+            const { from, to } = change.fields[field];
+            if (field === 'content') {
+              lines.push('      content:', ...lineDiff(from, to).map(line => `        ${line}`));
+            } else {
+              lines.push(`      ${field}: ${JSON.stringify(from)} -> ${JSON.stringify(to)}`);
+            }
+          });
+          break;
+      }
+    });
+  });
+  
+  return lines.join('\n');
+}
+
+// Diff reported by dry runs
+function diffBoards(before, after) {
+  const changes = boardChanges(before, after);
+  return { text: formatChanges(changes, before, after), changes };
+}
+
+// Change journal
+// Every saved change is recorded as a list of invertible operations in a
+// local JSON file, one history per board:
+//   { type: 'message', id, before, after }      before/after: { tabId, position, record } or null
+//   { type: 'category', tabId, before, after }  before/after: category name or null
+// Undo moves the touched messages and categories back to their `before`
+// state, redo to their `after` state. Both refuse to run when a later edit
+// changed any of them in the meantime.
+
+// Changes kept per board; older ones can no longer be undone
+const MAX_JOURNAL_ENTRIES = 100;
+
+const sameRecord = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Journal file, accessed like a local board file (locked, atomic writes)
+let journalStore;
+
+function getJournalStore() {
+  if (!journalStore) {
+    journalStore = createFileStorage(config.journalFile);
+  }
+  return journalStore;
+}
+
+// History of the current board: { entries, redo } (redo: stack of entry IDs)
+function boardHistory(journal) {
+  const boards = isPlainObject(journal.boards) ? journal.boards : {};
+  const history = boards[storage.location];
+  return isPlainObject(history) && Array.isArray(history.entries)
+    ? { entries: history.entries, redo: Array.isArray(history.redo) ? history.redo : [] }
+    : { entries: [], redo: [] };
+}
+
+async function readHistory() {
+  const { data } = await getJournalStore().read();
+  return boardHistory(data);
+}
+
+// Read-modify-write the history of the current board
+async function updateHistory(update) {
+  await mkdir(dirname(config.journalFile), { recursive: true });
+  
+  for (let attempt = 0; ; attempt++) {
+    const { data, revision } = await getJournalStore().read();
+    const journal = isPlainObject(data) ? data : {};
+    const history = boardHistory(journal);
+    const result = update(history);
+    
+    history.entries = history.entries.slice(-MAX_JOURNAL_ENTRIES);
+    const kept = new Set(history.entries.map(entry => entry.id));
+    history.redo = history.redo.filter(id => kept.has(id));
+    journal.version = 1;
+    journal.boards = { ...journal.boards, [storage.location]: history };
+    
+    try {
+      await getJournalStore().write(journal, { revision });
+      return result;
+    } catch (error) {
+      if (!(error instanceof WriteConflictError) || attempt >= config.conflictRetries) {
+        throw error;
+      }
+    }
+  }
+}
+
+// Operations that turn `before` into `after`; only the messages and
+// categories a change really touched are recorded
+function journalOperations(before, after) {
+  const was = locateMessages(before);
+  const now = locateMessages(after);
+  const oldNames = getCategories(before);
+  const newNames = getCategories(after);
+  const placement = (location) => location
+    ? { tabId: location.tabKey, position: location.position, record: location.record }
+    : null;
+  
+  const operations = [];
+  const seen = new Set();
+  boardChanges(before, after).forEach(change => {
+    if (change.type.startsWith('category_')) {
+      operations.push({
+        type: 'category',
+        tabId: change.tabId,
+        before: oldNames[change.tabId] || null,
+        after: newNames[change.tabId] || null
+      });
+    } else if (!seen.has(change.id)) {
+      seen.add(change.id);
+      operations.push({ type: 'message', id: change.id, before: placement(was.get(change.id)), after: placement(now.get(change.id)) });
+    }
+  });
+  return operations;
+}
+
+// Record a saved change; a failure here must not fail the change itself
+async function recordChange(tool, before, after) {
+  const operations = journalOperations(before, after);
+  if (operations.length === 0) {
+    return;
+  }
+  
+  const diff = formatChanges(boardChanges(before, after), before, after);
+  try {
+    await updateHistory(history => {
+      history.entries.push({
+        id: randomUUID(),
+        at: new Date().toISOString(),
+        tool,
+        summary: diff.split('\n')[0],
+        diff,
+        status: 'applied',
+        operations
+      });
+      // A new change ends the redo chain
+      history.redo = [];
+    });
+  } catch (error) {
+    console.error(`Could not record change in journal ${config.journalFile}: ${error.message}`);
+  }
+}
+
+// Move the touched messages and categories from their `from` state
+// ('before' or 'after') to the other one
+function replayOperations(allData, operations, from) {
+  const to = from === 'after' ? 'before' : 'after';
+  const located = locateMessages(allData);
+  const names = getCategories(allData);
+  const matches = (operation, state) => {
+    if (operation.type === 'message') {
+      const current = located.get(operation.id);
+      const expected = operation[state];
+      return sameRecord(current ? current.record : null, expected ? expected.record : null);
+    }
+    return (names[operation.tabId] || null) === operation[state];
+  };
+  
+  // Already replayed, e.g. when saving the new status to the journal failed
+  // last time: nothing left to do
+  if (operations.every(operation => matches(operation, to))) {
+    return;
+  }
+  
+  // Everything must still look the way the change left it
+  const conflicts = [];
+  operations.forEach(operation => {
+    if (matches(operation, from)) {
+      return;
+    }
+    if (operation.type === 'message') {
+      const current = located.get(operation.id);
+      conflicts.push({ id: operation.id, reason: !current ? 'deleted' : operation[from] ? 'modified' : 'recreated' });
+    } else {
+      conflicts.push({ tabId: operation.tabId, reason: 'category changed' });
+    }
+  });
+  if (conflicts.length > 0) {
+    const list = conflicts.map(conflict => `${conflict.id || `tab ${conflict.tabId}`} (${conflict.reason})`).join(', ');
+    throw new BoardError('FAILED_PRECONDITION', `Later edits changed what this change touched: ${list}`, { details: { conflicts } });
+  }
+  
+  const categoryOps = operations.filter(operation => operation.type === 'category');
+  const messageOps = operations.filter(operation => operation.type === 'message');
+  
+  // Categories that come back first, so their messages have a tab to go to
+  categoryOps.filter(operation => operation[to] !== null).forEach(operation => {
+    names[operation.tabId] = operation[to];
+    ensureTab(allData, operation.tabId);
+  });
+  
+  // Take the messages out, then put them back at their target positions in
+  // ascending order so the positions line up again
+  messageOps.forEach(operation => {
+    const current = located.get(operation.id);
+    if (current) {
+      const tab = allData[current.tabKey];
+      tab.splice(tab.indexOf(current.record), 1);
+    }
+  });
+  messageOps
+    .filter(operation => operation[to] !== null)
+    .sort((a, b) => a[to].position - b[to].position)
+    .forEach(operation => {
+      const { tabId, position, record } = operation[to];
+      const tab = ensureTab(allData, tabId);
+      tab.splice(Math.min(position, tab.length), 0, structuredClone(record));
+    });
+  
+  categoryOps.filter(operation => operation[to] === null).forEach(operation => {
+    const tab = allData[operation.tabId];
+    if (Array.isArray(tab) && tab.length > 0) {
+      throw new BoardError('FAILED_PRECONDITION', `Category ${names[operation.tabId]} is no longer empty`, {
+        details: { conflicts: [{ tabId: operation.tabId, reason: 'category not empty' }] }
+      });
+    }
+    delete allData[operation.tabId];
+    delete names[operation.tabId];
+  });
+  
+  if (categoryOps.length > 0) {
+    setCategories(allData, names);
+  }
+  allData.lastSaved = new Date().toLocaleString();
+}
+
+// Journal entry as shown by the tools
+const entryView = (entry) => ({
+  id: entry.id,
+  at: entry.at,
+  tool: entry.tool,
+  status: entry.status,
+  summary: entry.summary,
+  messageIds: entry.operations.filter(operation => operation.type === 'message').map(operation => operation.id)
+});
+
+// Save the new status of an undone or redone entry. The board is saved by
+// then, so like recordChange a failure here must not fail the tool; the next
+// replay of the entry finds it already done.
+async function updateEntryStatus(entry, update) {
+  try {
+    await updateHistory(update);
+  } catch (error) {
+    console.error(`Could not update change ${entry.id} in journal ${config.journalFile}: ${error.message}`);
+  }
+}
+
+// Undo the latest change that is still applied
+async function undoLastChange(args) {
+  const history = await readHistory();
+  const entry = history.entries.filter(candidate => candidate.status === 'applied').pop();
+  if (!entry) {
+    throw new BoardError('NOT_FOUND', 'Nothing to undo');
+  }
+  
+  const result = await applyChange(null, args, allData => {
+    replayOperations(allData, entry.operations, 'after');
+    return { undone: { ...entryView(entry), status: 'undone' } };
+  });
+  
+  if (!args.dryRun) {
+    await updateEntryStatus(entry, current => {
+      const stored = current.entries.find(candidate => candidate.id === entry.id);
+      if (stored) {
+        stored.status = 'undone';
+        current.redo.push(entry.id);
+      }
+    });
+  }
+  return result;
+}
+
+// Re-apply the change undone most recently, unless new changes came since
+async function redoChange(args) {
+  const history = await readHistory();
+  const entryId = history.redo[history.redo.length - 1];
+  const entry = history.entries.find(candidate => candidate.id === entryId);
+  if (!entry) {
+    throw new BoardError('NOT_FOUND', 'Nothing to redo');
+  }
+  
+  const result = await applyChange(null, args, allData => {
+    replayOperations(allData, entry.operations, 'before');
+    return { redone: { ...entryView(entry), status: 'applied' } };
+  });
+  
+  if (!args.dryRun) {
+    await updateEntryStatus(entry, current => {
+      const stored = current.entries.find(candidate => candidate.id === entry.id);
+      if (stored) {
+        stored.status = 'applied';
+      }
+      current.redo = current.redo.filter(id => id !== entry.id);
+    });
+  }
+  return result;
+}
+
+// Snapshots
+// Before every save the board as it was read is copied to a snapshot file
+// (one directory per board), so a bad write can be rolled back. Snapshots
+// are pruned by count (snapshotLimit) and age (snapshotMaxDays).
+
+// Directory holding the snapshots of the current board
+const snapshotDir = () =>
+  join(config.snapshotDir, createHash('sha1').update(storage.location).digest('hex').substring(0, 12));
+
+// Snapshot IDs sort by creation time, e.g. "20261019T150727683Z-1a2b3c4d"
+const snapshotId = () =>
+  `${new Date().toISOString().replace(/[-:.]/g, '')}-${randomUUID().substring(0, 8)}`;
+
+const SNAPSHOT_ID_PATTERN = /^\d{8}T\d{9}Z-[0-9a-f]{8}$/;
+
+// Snapshot IDs of the current board, newest first
+async function snapshotIds() {
+  try {
+    const names = await readdir(snapshotDir());
+    return names
+      .filter(name => name.endsWith('.json') && SNAPSHOT_ID_PATTERN.test(name.slice(0, -5)))
+      .map(name => name.slice(0, -5))
+      .sort()
+      .reverse();
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+}
+
+async function readSnapshot(id) {
+  if (!SNAPSHOT_ID_PATTERN.test(id)) {
+    throw new BoardError('INVALID_ARGUMENT', `Invalid snapshot ID: ${id}`, { details: { snapshotId: id } });
+  }
+  
+  let text;
+  try {
+    text = await readFile(join(snapshotDir(), `${id}.json`), 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new BoardError('NOT_FOUND', `Snapshot not found: ${id}`, { details: { snapshotId: id } });
+    }
+    throw error;
+  }
+  
+  let snapshot;
+  try {
+    snapshot = JSON.parse(text);
+  } catch (error) {
+    throw new BoardError('INVALID_SNAPSHOT', `Snapshot ${id} is corrupt: ${error.message}`, { details: { snapshotId: id } });
+  }
+  if (!isPlainObject(snapshot) || !isPlainObject(snapshot.board)) {
+    throw new BoardError('INVALID_SNAPSHOT', `Snapshot ${id} is corrupt: it holds no board`, { details: { snapshotId: id } });
+  }
+  normalizeBoard(snapshot.board);
+  return snapshot;
+}
+
+// Remove snapshots beyond the configured count and age
+async function pruneSnapshots() {
+  const ids = await snapshotIds();
+  const cutoff = Date.now() - config.snapshotMaxDays * 24 * 60 * 60 * 1000;
+  
+  const expired = ids.filter((id, index) => {
+    const createdAt = Date.parse(id.replace(/^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})(\d{3})Z.*$/, '$1-$2-$3T$4:$5:$6.$7Z'));
+    return index >= config.snapshotLimit || createdAt < cutoff;
+  });
+  await Promise.all(expired.map(id => rm(join(snapshotDir(), `${id}.json`), { force: true })));
+}
+
+// Keep a copy of the board about to be replaced; a revision that already has
+// the newest snapshot is not copied again. Like the journal, a failure here
+// is logged and does not stop the save.
+async function takeSnapshot(board, revision, tool) {
+  if (config.snapshotLimit === 0) {
+    return;
+  }
+  
+  try {
+    // An unreadable latest snapshot only means there is nothing to compare with
+    const [latest] = await snapshotIds();
+    const latestRevision = latest && revision
+      ? await readSnapshot(latest).then(snapshot => snapshot.revision, () => null)
+      : null;
+    if (latestRevision && latestRevision === revision) {
+      return;
+    }
+    
+    const id = snapshotId();
+    const snapshot = { id, createdAt: new Date().toISOString(), revision: revision || null, tool, board };
+    await mkdir(snapshotDir(), { recursive: true });
+    const tempPath = join(snapshotDir(), `${id}.${process.pid}.tmp`);
+    await writeFile(tempPath, JSON.stringify(snapshot));
+    await rename(tempPath, join(snapshotDir(), `${id}.json`));
+    await pruneSnapshots();
+  } catch (error) {
+    console.error(`Could not take snapshot in ${snapshotDir()}: ${error.message}`);
+  }
+}
+
+// Snapshot summary as shown by the tools
+const snapshotView = ({ id, createdAt, tool, board }) => ({
+  id,
+  createdAt,
+  tool: tool || null,
+  messageCount: tabKeysOf(board).reduce((count, tabKey) => count + board[tabKey].length, 0),
+  categories: Object.entries(getCategories(board)).map(([tabId, name]) => ({
+    id: tabId,
+    name,
+    messageCount: Array.isArray(board[tabId]) ? board[tabId].length : 0
+  }))
+});
+
+// Put the board, or one of its categories, back the way a snapshot has it
+function restoreSnapshot(allData, snapshot, category) {
+  const board = structuredClone(snapshot.board);
+  
+  if (!category) {
+    Object.keys(allData).forEach(key => delete allData[key]);
+    Object.assign(allData, board);
+    allData.lastSaved = new Date().toLocaleString();
+    return { snapshotId: snapshot.id, scope: 'board', messageCount: snapshotView(snapshot).messageCount };
+  }
+  
+  const tabKey = requireTabKey(board, category);
+  const messages = Array.isArray(board[tabKey]) ? board[tabKey] : [];
+  
+  // Messages moved elsewhere since the snapshot come back to this tab
+  const restoredIds = new Set(messages.map(record => record.id));
+  tabKeysOf(allData).forEach(key => {
+    allData[key] = allData[key].filter(record => !restoredIds.has(record.id));
+  });
+  allData[tabKey] = messages;
+  
+  const names = getCategories(allData);
+  const name = getCategories(board)[tabKey];
+  const existing = findTabKey(allData, name);
+  if (existing && existing !== tabKey) {
+    throw new BoardError('ALREADY_EXISTS', `Category already exists: ${name}`, { details: { category: name } });
+  }
+  names[tabKey] = name;
+  setCategories(allData, names);
+  allData.lastSaved = new Date().toLocaleString();
+  
+  return { snapshotId: snapshot.id, scope: 'category', id: tabKey, category: name, messageCount: messages.length };
+}
+
+// Export
+// The board as CSV, Markdown or JSON Lines. All formats list the same
+// fields in the same order; original-server.js serves the same exports at
+// GET /api/export.
+
+const EXPORT_FORMATS = ['csv', 'markdown', 'jsonl'];
+
+const EXPORT_COLUMNS = ['id', 'tabId', 'category', 'position', 'title', 'content', 'author', 'tags', 'createdAt', 'updatedAt'];
+
+const EXPORT_MIME_TYPES = {
+  csv: 'text/csv',
+  markdown: 'text/markdown',
+  jsonl: 'application/jsonl'
+};
+
+// One row per message, in tab order and board order within each tab
+function exportRows(allData, tabKeys) {
+  const rows = [];
+  tabKeys.forEach(tabKey => {
+    (Array.isArray(allData[tabKey]) ? allData[tabKey] : []).forEach((record, position) => {
+      const view = messageView(allData, record, tabKey);
+      rows.push({
+        id: view.id,
+        tabId: tabKey,
+        category: view.category,
+        position,
+        title: view.title,
+        content: view.content,
+        author: view.author,
+        tags: view.tags,
+        createdAt: view.createdAt,
+        updatedAt: view.updatedAt
+      });
+    });
+  });
+  return rows;
+}
+
+// Cells a spreadsheet would run as a formula: starting with =, +, -, @, tab
+// or CR, also after quotes added by this escaping (so it can be undone)
+const CSV_FORMULA = /^'*[=+\-@\t\r]/;
+
+// RFC 4180: fields with commas, quotes or line breaks are quoted and quotes
+// doubled; rows end with CRLF. Tags are joined with "; ". Formula-like cells
+// get a leading ' so spreadsheets show them as text.
+function csvField(value) {
+  let text = value === null ? '' : Array.isArray(value) ? value.join('; ') : String(value);
+  if (CSV_FORMULA.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function exportCsv(rows) {
+  const lines = [EXPORT_COLUMNS.join(',')];
+  rows.forEach(row => lines.push(EXPORT_COLUMNS.map(column => csvField(row[column])).join(',')));
+  return lines.join('\r\n') + '\r\n';
+}
+
+// Content goes into a fenced block longer than any backtick run inside it, so
+// line breaks and Markdown syntax in templates come out verbatim
+function fenced(text) {
+  const longest = Math.max(2, ...(text.match(/`+/g) || []).map(run => run.length));
+  const fence = '`'.repeat(longest + 1);
+  return `${fence}\n${text}\n${fence}`;
+}
+
+// Single-line text for headings and table cells
+const inline = (text) => text.replace(/\s*[\r\n]+\s*/g, ' ').trim();
+
+function exportMarkdown(allData, tabKeys, rows) {
+  const sections = ['# Message Board'];
+  tabKeys.forEach(tabKey => {
+    const tabRows = rows.filter(row => row.tabId === tabKey);
+    sections.push(`## ${inline(categoryName(allData, tabKey))} (tab ${tabKey})`);
+    if (tabRows.length === 0) {
+      sections.push('_No messages_');
+    }
+    tabRows.forEach(row => {
+      const details = EXPORT_COLUMNS
+        .filter(column => !['category', 'tabId', 'title', 'content'].includes(column))
+        .map(column => {
+          const value = Array.isArray(row[column]) ? row[column].join(', ') : row[column];
+          return `- ${column}: ${value === null || value === '' ? '—' : `\`${inline(String(value))}\``}`;
+        });
+      sections.push(`### ${inline(row.title) || row.id}`, details.join('\n'), fenced(row.content));
+    });
+  });
+  return sections.join('\n\n') + '\n';
+}
+
+// One JSON object per line; JSON escapes line breaks and quotes
+const exportJsonl = (rows) =>
+  rows.map(row => JSON.stringify(Object.fromEntries(EXPORT_COLUMNS.map(column => [column, row[column]])))).join('\n') + (rows.length > 0 ? '\n' : '');
+
+function exportBoard(allData, { format, categories }) {
+  const tabKeys = categories
+    ? [...new Set(categories.map(category => requireTabKey(allData, category)))]
+    : Object.keys(getCategories(allData));
+  const rows = exportRows(allData, tabKeys);
+  
+  let text;
+  if (format === 'csv') {
+    text = exportCsv(rows);
+  } else if (format === 'markdown') {
+    text = exportMarkdown(allData, tabKeys, rows);
+  } else {
+    text = exportJsonl(rows);
+  }
+  
+  return { format, mimeType: EXPORT_MIME_TYPES[format], messageCount: rows.length, tabIds: tabKeys, text };
+}
+
+// Import
+// Messages from CSV, Markdown, JSON or JSON Lines, applied in one write.
+// Every format reads the fields the exports write (see EXPORT_COLUMNS), so
+// an export can be imported again; `columns` maps other field names.
+
+const IMPORT_FORMATS = ['csv', 'markdown', 'json', 'jsonl'];
+
+const IMPORT_FIELDS = ['id', 'title', 'content', 'category', 'author', 'tags'];
+
+// What import_messages does with a message that is already on the board
+const DUPLICATE_POLICIES = ['skip', 'replace', 'append'];
+
+// Largest number of messages accepted by one import
+const MAX_IMPORT_MESSAGES = 1000;
+
+const FORMAT_EXTENSIONS = {
+  '.csv': 'csv',
+  '.md': 'markdown',
+  '.markdown': 'markdown',
+  '.json': 'json',
+  '.jsonl': 'jsonl',
+  '.ndjson': 'jsonl'
+};
+
+const importError = (message) => new BoardError('INVALID_ARGUMENT', message);
+
+// Format of import text: explicit, by file extension, or guessed from the text
+function importFormat(text, { format, file }) {
+  if (format) {
+    return format;
+  }
+  if (file && FORMAT_EXTENSIONS[extname(file).toLowerCase()]) {
+    return FORMAT_EXTENSIONS[extname(file).toLowerCase()];
+  }
+  
+  const start = text.trimStart();
+  if (start.startsWith('#')) {
+    return 'markdown';
+  }
+  if (start.startsWith('[') || start.startsWith('{')) {
+    try {
+      JSON.parse(text);
+      return 'json';
+    } catch (error) {
+      return 'jsonl';
+    }
+  }
+  return 'csv';
+}
+
+// RFC 4180 rows; quoted fields may contain commas, doubled quotes and line
+// breaks. The ' that export_board puts before formula-like cells is removed.
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (quoted) {
+    throw importError('Invalid CSV: unterminated quoted field');
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  
+  const [header, ...records] = rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+  if (!header) {
+    return [];
+  }
+  const unescape = (cell) => (cell !== undefined && CSV_FORMULA.test(cell) && cell.startsWith("'") ? cell.slice(1) : cell);
+  return records.map(cells => Object.fromEntries(header.map((name, index) => [name.trim(), unescape(cells[index])])));
+}
+
+// Markdown as written by export_board: "## Category" sections, a "### Title"
+// per message, optional "- field: value" lines, and the content in a fenced
+// block (or, without one, the text up to the next heading)
+function parseMarkdown(text) {
+  const entries = [];
+  const lines = text.split(/\r?\n/);
+  let category;
+  let entry = null;
+  let fence = null;
+  let body = [];
+  
+  const finish = () => {
+    if (entry) {
+      if (entry.content === undefined) {
+        entry.content = body.join('\n').trim();
+      }
+      entries.push(entry);
+    }
+    entry = null;
+    body = [];
+  };
+  
+  lines.forEach(line => {
+    if (fence) {
+      if (line.trim() === fence) {
+        entry.content = body.join('\n');
+        body = [];
+        fence = null;
+      } else {
+        body.push(line);
+      }
+      return;
+    }
+    
+    const heading = line.match(/^(#{1,3})\s+(.*?)\s*$/);
+    if (heading) {
+      finish();
+      if (heading[1] === '##') {
+        // Exports name sections "Category (tab N)"; the tab ID wins
+        const tab = heading[2].match(/\(tab (\d+)\)$/);
+        category = tab ? tab[1] : heading[2];
+      } else if (heading[1] === '###') {
+        entry = { title: heading[2], category };
+      }
+      return;
+    }
+    if (!entry) {
+      return;
+    }
+    
+    const opening = line.match(/^\s*(`{3,})\s*\S*\s*$/);
+    const detail = line.match(/^- (\w+): (.*)$/);
+    if (opening && entry.content === undefined) {
+      fence = opening[1];
+      body = [];
+    } else if (detail && body.length === 0) {
+      // Details the import has no use for (position, createdAt, ...) are skipped
+      const value = detail[2].trim().replace(/^`(.*)`$/, '$1');
+      if (IMPORT_FIELDS.includes(detail[1]) && value !== '—') {
+        entry[detail[1]] = value;
+      }
+    } else if (line.trim() !== '' || body.length > 0) {
+      body.push(line);
+    }
+  });
+  if (fence) {
+    throw importError('Invalid Markdown: unterminated code block');
+  }
+  finish();
+  
+  return entries;
+}
+
+// JSON: an array of messages, or an object with a `messages` array (as
+// returned by get_messages)
+function parseJson(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw importError(`Invalid JSON: ${error.message}`);
+  }
+  const entries = Array.isArray(data) ? data : isPlainObject(data) && Array.isArray(data.messages) ? data.messages : null;
+  if (!entries) {
+    throw importError('Invalid JSON: expected an array of messages or an object with a "messages" array');
+  }
+  return entries;
+}
+
+function parseJsonl(text) {
+  return text.split(/\r?\n/).filter(line => line.trim() !== '').map((line, index) => {
+    try {
+      return JSON.parse(line);
+    } catch (error) {
+      throw importError(`Invalid JSON on line ${index + 1}: ${error.message}`);
+    }
+  });
+}
+
+// Messages of an import, each { id, title, content, category, author, tags }
+// with the fields that are present. `columns` maps a field to the name it
+// has in the source (matched case-insensitively); by default the field's own
+// name is used, and `category` falls back to a `tabId` column.
+function parseImport(text, format, columns = {}) {
+  const parsers = { csv: parseCsv, markdown: parseMarkdown, json: parseJson, jsonl: parseJsonl };
+  const entries = parsers[format](text);
+  if (entries.length > MAX_IMPORT_MESSAGES) {
+    throw importError(`Too many messages: ${entries.length} (at most ${MAX_IMPORT_MESSAGES} per import)`);
+  }
+  
+  return entries.map((entry, index) => {
+    if (!isPlainObject(entry)) {
+      throw importError(`Message ${index + 1} is not an object`);
+    }
+    const keys = new Map(Object.keys(entry).map(key => [key.toLowerCase(), key]));
+    const pick = (...names) => {
+      const key = names.map(name => keys.get(name.toLowerCase())).find(found => found !== undefined);
+      return key === undefined ? undefined : entry[key];
+    };
+    
+    const message = {};
+    IMPORT_FIELDS.forEach(field => {
+      const value = columns[field]
+        ? pick(columns[field])
+        : field === 'category' ? pick('category', 'tabId') : pick(field);
+      if (value === undefined || value === null || value === '') {
+        return;
+      }
+      if (field === 'tags') {
+        message.tags = Array.isArray(value)
+          ? value.map(String)
+          : String(value).split(/[;,]/).map(tag => tag.trim()).filter(Boolean);
+      } else {
+        message[field] = String(value);
+      }
+    });
+    return message;
+  });
+}
+
+// Existing message an imported one duplicates: the one with its ID, or one
+// with the same content in the target category
+function findDuplicate(allData, message, tabKey) {
+  if (message.id) {
+    const located = locateMessages(allData).get(message.id);
+    if (located) {
+      return located.record;
+    }
+  }
+  const content = message.content.trim();
+  return (allData[tabKey] || []).find(record => typeof record.content === 'string' && record.content.trim() === content) || null;
+}
+
+// Add one imported message, or apply the duplicate policy to it
+function importMessage(allData, message, { onDuplicate = 'skip', category }) {
+  if (!message.content || !message.content.trim()) {
+    throw importError('content is missing');
+  }
+  const tabKey = message.category || category ? requireTabKey(allData, message.category || category) : defaultTabKey(allData);
+  const fields = {
+    content: message.content,
+    title: message.title || makeTitle(message.content),
+    author: message.author,
+    tags: message.tags
+  };
+  
+  const duplicate = findDuplicate(allData, message, tabKey);
+  if (duplicate && onDuplicate === 'skip') {
+    const { tabKey: duplicateTab } = locateMessages(allData).get(duplicate.id);
+    return { action: 'skipped', duplicateOf: duplicate.id, message: messageView(allData, duplicate, duplicateTab) };
+  }
+  if (duplicate && onDuplicate === 'replace') {
+    const updated = updateMessage(allData, { messageId: duplicate.id, ...fields, category: message.category ? tabKey : undefined });
+    return { action: 'replaced', duplicateOf: duplicate.id, message: updated };
+  }
+  
+  // Imported IDs are kept unless they are taken
+  const id = message.id && !locateMessages(allData).has(message.id) ? message.id : undefined;
+  const created = createMessage(allData, { ...fields, id, category: tabKey });
+  return { action: 'added', duplicateOf: duplicate ? duplicate.id : null, message: created };
+}
+
+const isInside = (root, path) => {
+  const inside = relative(root, path);
+  return Boolean(inside) && inside !== '..' && !inside.startsWith(`..${sep}`) && !isAbsolute(inside);
+};
+
+// Read a file to import. Only files inside importDir can be read: the path is
+// taken relative to it and checked before and after symlinks are resolved, so
+// a client cannot read (or probe for) other files of the machine.
+async function readImportFile(file) {
+  const details = { file, importDir: config.importDir };
+  const outside = new BoardError('INVALID_ARGUMENT', `Cannot read ${file}: only files in the import directory ${config.importDir} can be imported`, { details });
+  if (!isInside(config.importDir, resolve(config.importDir, file))) {
+    throw outside;
+  }
+  
+  try {
+    const root = await realpath(config.importDir);
+    const path = await realpath(resolve(root, file));
+    if (!isInside(root, path)) {
+      throw outside;
+    }
+    return await readFile(path, 'utf8');
+  } catch (error) {
+    if (error === outside) {
+      throw error;
+    }
+    throw new BoardError(error.code === 'ENOENT' ? 'NOT_FOUND' : 'INVALID_ARGUMENT', `Cannot read ${file}: ${error.message}`, { details });
+  }
+}
+
+// Import text or a file from importDir in one read-modify-write cycle
+async function importMessages(args) {
+  if (Boolean(args.content) === Boolean(args.file)) {
+    throw importError('Provide either content or file');
+  }
+  
+  const text = args.file ? await readImportFile(args.file) : args.content;
+  
+  const format = importFormat(text, args);
+  const messages = parseImport(text, format, args.columns);
+  if (messages.length === 0) {
+    throw importError(`No messages found in the ${format} input`);
+  }
+  
+  return applyChange('import_messages', args, allData => {
+    const results = applyAll(allData, messages, (board, message) => importMessage(board, message, args));
+    const counts = { added: 0, replaced: 0, skipped: 0 };
+    results.forEach(({ result }) => counts[result.action]++);
+    return { format, committed: !args.dryRun, count: results.length, ...counts, results };
+  });
+}
+
+// Duplicates
+// Messages are compared on their content folded like search terms (case,
+// accents, whitespace and punctuation ignored). Near duplicates are found by
+// the Jaccard similarity of their character shingles.
+
+// Shingle length in characters
+const SHINGLE_SIZE = 5;
+
+// Default similarity from which two messages count as duplicates
+const DEFAULT_DUPLICATE_THRESHOLD = 0.8;
+
+const duplicateText = (content) => tokenize(content).map(token => token.term).join(' ');
+
+function shingles(text) {
+  const set = new Set();
+  if (text.length <= SHINGLE_SIZE) {
+    set.add(text);
+  }
+  for (let i = 0; i + SHINGLE_SIZE <= text.length; i++) {
+    set.add(text.substring(i, i + SHINGLE_SIZE));
+  }
+  return set;
+}
+
+function jaccard(a, b) {
+  let shared = 0;
+  a.forEach(shingle => {
+    if (b.has(shingle)) shared++;
+  });
+  return shared / (a.size + b.size - shared);
+}
+
+// Rounded for display; 1 only for exact duplicates
+const roundSimilarity = (similarity) => Math.floor(similarity * 1000) / 1000;
+
+// Similarity (0..1) of two message contents
+function contentSimilarity(a, b) {
+  const textA = duplicateText(a);
+  const textB = duplicateText(b);
+  return textA === textB ? 1 : roundSimilarity(jaccard(shingles(textA), shingles(textB)));
+}
+
+// Groups of duplicate messages in some tabs. Pairs at or above `threshold`
+// are linked and linked messages form a group, so members of a large group
+// are not necessarily all that similar to each other; `similarity` is given
+// against the group's first message.
+function findDuplicateGroups(allData, tabKeys, threshold) {
+  const docs = [];
+  tabKeys.forEach(tabKey => {
+    (Array.isArray(allData[tabKey]) ? allData[tabKey] : []).forEach((record, position) => {
+      const text = duplicateText(record.content);
+      if (text) {
+        docs.push({ record, tabKey, position, text, shingles: shingles(text) });
+      }
+    });
+  });
+  
+  // Only messages sharing a shingle can be similar
+  const byShingle = new Map();
+  docs.forEach((doc, index) => {
+    doc.shingles.forEach(shingle => {
+      if (!byShingle.has(shingle)) byShingle.set(shingle, []);
+      byShingle.get(shingle).push(index);
+    });
+  });
+  
+  const parent = docs.map((doc, index) => index);
+  const root = (index) => (parent[index] === index ? index : (parent[index] = root(parent[index])));
+  docs.forEach((doc, index) => {
+    const candidates = new Set();
+    doc.shingles.forEach(shingle => {
+      byShingle.get(shingle).forEach(other => {
+        if (other > index) candidates.add(other);
+      });
+    });
+    candidates.forEach(other => {
+      const candidate = docs[other];
+      if (doc.text === candidate.text || jaccard(doc.shingles, candidate.shingles) >= threshold) {
+        parent[root(other)] = root(index);
+      }
+    });
+  });
+  
+  const groups = new Map();
+  docs.forEach((doc, index) => {
+    const key = root(index);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(doc);
+  });
+  
+  return [...groups.values()]
+    .filter(members => members.length > 1)
+    .map(members => {
+      const [first] = members;
+      const messages = members.map(doc => ({
+        ...messageView(allData, doc.record, doc.tabKey),
+        position: doc.position,
+        similarity: doc.text === first.text ? 1 : roundSimilarity(jaccard(first.shingles, doc.shingles))
+      }));
+      return {
+        exact: members.every(doc => doc.text === first.text),
+        tabIds: [...new Set(members.map(doc => doc.tabKey))],
+        messages
+      };
+    })
+    .sort((a, b) => b.messages.length - a.messages.length);
+}
+
+// Keep one message of a duplicate group and delete the others; each must
+// still be at least `threshold` similar to the one kept
+function mergeDuplicates(allData, args) {
+  const threshold = args.threshold ?? DEFAULT_DUPLICATE_THRESHOLD;
+  const kept = findMessage(allData, args.keep);
+  
+  // A stable ID and a legacy ID can name the same message, so targets are
+  // de-duplicated by record rather than by ID
+  const targets = [];
+  args.remove.forEach(messageId => {
+    const target = findMessage(allData, messageId);
+    if (target.record === kept.record) {
+      throw new BoardError('INVALID_ARGUMENT', `Cannot remove the message that is kept: ${messageId}`, { details: { messageId } });
+    }
+    if (!targets.some(other => other.record === target.record)) {
+      targets.push({ ...target, similarity: contentSimilarity(kept.record.content, target.record.content) });
+    }
+  });
+  
+  const dissimilar = targets.filter(target => target.similarity < threshold);
+  if (dissimilar.length > 0) {
+    throw new BoardError('FAILED_PRECONDITION', `Not duplicates of ${kept.record.id} at threshold ${threshold}: ${dissimilar.map(target => `${target.record.id} (${target.similarity})`).join(', ')}`, {
+      details: { keep: kept.record.id, threshold, dissimilar: dissimilar.map(target => ({ id: target.record.id, similarity: target.similarity })) }
+    });
+  }
+  
+  if (args.mergeTags) {
+    const tags = new Set(kept.record.tags || []);
+    targets.forEach(target => (target.record.tags || []).forEach(tag => tags.add(tag)));
+    kept.record.tags = [...tags];
+    kept.record.updatedAt = new Date().toISOString();
+  }
+  
+  const removed = targets.map(target => {
+    const view = messageView(allData, target.record, target.tabKey);
+    const tab = allData[target.tabKey];
+    const index = tab.indexOf(target.record);
+    if (index !== -1) {
+      tab.splice(index, 1);
+    }
+    return { id: view.id, title: view.title, tabId: view.tabId, category: view.category, similarity: target.similarity };
+  });
+  
+  allData.lastSaved = new Date().toLocaleString();
+  
+  return { kept: messageView(allData, kept.record, kept.tabKey), removed };
+}
+
+// Message operations
+// Each one applies a change to a board in memory and returns the tool result,
+// so single-message and bulk tools share the same logic.
+
+function createMessage(allData, args) {
+  // Determine which tab to add the message to, defaulting to First Messages
+  const tabKey = args.category ? requireTabKey(allData, args.category) : defaultTabKey(allData);
+  
+  const now = new Date().toISOString();
+  const record = {
+    id: args.id || randomUUID(),
+    content: args.content,
+    title: args.title,
+    author: args.author || null,
+    tags: args.tags || [],
+    createdAt: now,
+    updatedAt: now
+  };
+  ensureTab(allData, tabKey).push(record);
+  
+  return messageView(allData, record, tabKey);
+}
+
+function updateMessage(allData, args) {
+  const { record, tabKey, index } = findMessage(allData, args.messageId);
+  let currentTabKey = tabKey;
+  
+  // Update the fields that are given; a null title falls back to one
+  // generated from the content, a null or empty author clears it
+  if (args.content !== undefined) {
+    record.content = args.content;
+  }
+  if (args.title !== undefined) {
+    record.title = args.title || null;
+  }
+  if (args.author !== undefined) {
+    record.author = args.author || null;
+  }
+  if (args.tags !== undefined) {
+    record.tags = args.tags;
+  }
+  record.updatedAt = new Date().toISOString();
+  
+  // Handle category change (move to different tab)
+  if (args.category) {
+    const newTabKey = requireTabKey(allData, args.category);
+    
+    // If moving to a different tab, the record (and its ID) moves with it
+    if (newTabKey !== tabKey) {
+      allData[tabKey].splice(index, 1);
+      ensureTab(allData, newTabKey).push(record);
+      currentTabKey = newTabKey;
+    }
+  }
+  
+  // Update lastSaved timestamp
+  allData.lastSaved = new Date().toLocaleString();
+  
+  return messageView(allData, record, currentTabKey);
+}
+
+function deleteMessage(allData, args) {
+  const { record, tabKey, index } = findMessage(allData, args.messageId);
+  
+  // Remove message from array
+  allData[tabKey].splice(index, 1);
+  
+  // Update lastSaved timestamp
+  allData.lastSaved = new Date().toLocaleString();
+  
+  return {
+    success: true,
+    messageId: record.id,
+    tabId: tabKey,
+    category: categoryName(allData, tabKey),
+    deletedAt: new Date().toISOString()
+  };
+}
+
+// Check a position argument against the allowed range
+function checkPosition(position, max, name = 'position') {
+  if (!Number.isInteger(position) || position < 0 || position > max) {
+    throw new BoardError('INVALID_ARGUMENT', `${name} must be an integer between 0 and ${max}, got ${position}`);
+  }
+}
+
+// Current order of a tab as returned by the ordering tools
+const tabOrder = (allData, tabKey) =>
+  ensureTab(allData, tabKey).map((record, position) => ({ position, id: record.id, title: messageView(allData, record, tabKey).title }));
+
+function moveMessage(allData, args) {
+  const { record, tabKey, index } = findMessage(allData, args.messageId);
+  const targetTabKey = args.category ? requireTabKey(allData, args.category) : tabKey;
+  
+  allData[tabKey].splice(index, 1);
+  const target = ensureTab(allData, targetTabKey);
+  const position = args.position === undefined ? target.length : args.position;
+  checkPosition(position, target.length);
+  target.splice(position, 0, record);
+  
+  // Update lastSaved timestamp
+  allData.lastSaved = new Date().toLocaleString();
+  
+  return {
+    message: messageView(allData, record, targetTabKey),
+    from: { tabId: tabKey, position: index },
+    to: { tabId: targetTabKey, position }
+  };
+}
+
+function reorderMessages(allData, args) {
+  const tabKey = requireTabKey(allData, args.category);
+  const tab = ensureTab(allData, tabKey);
+  
+  // Accept stable or legacy IDs, but every message of the tab exactly once
+  const ordered = args.messageIds.map(messageId => {
+    const found = findMessage(allData, messageId);
+    if (found.tabKey !== tabKey) {
+      throw new BoardError('INVALID_ARGUMENT', `Message ${messageId} is not in ${categoryName(allData, tabKey)}`);
+    }
+    return found.record;
+  });
+  if (new Set(ordered).size !== ordered.length) {
+    throw new BoardError('INVALID_ARGUMENT', 'messageIds contains the same message more than once');
+  }
+  if (ordered.length !== tab.length) {
+    const missing = tab.filter(record => !ordered.includes(record)).map(record => record.id);
+    throw new BoardError('INVALID_ARGUMENT', `messageIds must list every message of the tab, missing: ${missing.join(', ')}`);
+  }
+  
+  allData[tabKey] = ordered;
+  
+  // Update lastSaved timestamp
+  allData.lastSaved = new Date().toLocaleString();
+  
+  return { tabId: tabKey, category: categoryName(allData, tabKey), order: tabOrder(allData, tabKey) };
+}
+
+function swapMessages(allData, args) {
+  const first = findMessage(allData, args.firstId);
+  const second = findMessage(allData, args.secondId);
+  if (first.record === second.record) {
+    throw new BoardError('INVALID_ARGUMENT', 'Cannot swap a message with itself');
+  }
+  
+  allData[first.tabKey][first.index] = second.record;
+  allData[second.tabKey][second.index] = first.record;
+  
+  // Update lastSaved timestamp
+  allData.lastSaved = new Date().toLocaleString();
+  
+  return {
+    first: { id: first.record.id, tabId: second.tabKey, position: second.index },
+    second: { id: second.record.id, tabId: first.tabKey, position: first.index }
+  };
+}
+
+function createCategory(allData, args) {
+  const name = typeof args.name === 'string' ? args.name.trim() : '';
+  if (!name) {
+    throw new BoardError('INVALID_ARGUMENT', 'name is required');
+  }
+  if (findTabKey(allData, name)) {
+    throw new BoardError('ALREADY_EXISTS', `Category already exists: ${name}`, { details: { category: name } });
+  }
+  
+  // Next free numeric tab key
+  const names = getCategories(allData);
+  const tabKey = String(Math.max(0, ...Object.keys(names).map(key => parseInt(key))) + 1);
+  
+  names[tabKey] = name;
+  setCategories(allData, names);
+  ensureTab(allData, tabKey);
+  
+  return { id: tabKey, name, messageCount: 0 };
+}
+
+function renameCategory(allData, args) {
+  const newName = typeof args.newName === 'string' ? args.newName.trim() : '';
+  if (!newName) {
+    throw new BoardError('INVALID_ARGUMENT', 'newName is required');
+  }
+  
+  const tabKey = requireTabKey(allData, args.category);
+  const existing = findTabKey(allData, newName);
+  if (existing && existing !== tabKey) {
+    throw new BoardError('ALREADY_EXISTS', `Category already exists: ${newName}`, { details: { category: newName } });
+  }
+  
+  const names = getCategories(allData);
+  const oldName = names[tabKey];
+  names[tabKey] = newName;
+  setCategories(allData, names);
+  
+  return { id: tabKey, oldName, name: newName };
+}
+
+// What delete_category does with the messages of the deleted category
+const DELETE_POLICIES = ['reject', 'move', 'delete'];
+
+function deleteCategory(allData, args) {
+  const policy = args.policy || 'reject';
+  
+  const tabKey = requireTabKey(allData, args.category);
+  const names = getCategories(allData);
+  const messages = Array.isArray(allData[tabKey]) ? allData[tabKey] : [];
+  const result = { id: tabKey, name: names[tabKey], policy, messageCount: messages.length };
+  
+  if (messages.length > 0) {
+    if (policy === 'reject') {
+      throw new BoardError('FAILED_PRECONDITION', `Category ${names[tabKey]} still contains ${messages.length} message(s); use policy "move" or "delete"`, {
+        details: { category: names[tabKey], messageCount: messages.length }
+      });
+    }
+    if (policy === 'move') {
+      if (!args.targetCategory) {
+        throw new BoardError('INVALID_ARGUMENT', 'targetCategory is required with policy "move"');
+      }
+      const targetKey = requireTabKey(allData, args.targetCategory);
+      if (targetKey === tabKey) {
+        throw new BoardError('INVALID_ARGUMENT', 'targetCategory must differ from the deleted category');
+      }
+      ensureTab(allData, targetKey).push(...messages);
+      result.movedTo = { id: targetKey, name: names[targetKey] };
+    }
+  }
+  
+  delete allData[tabKey];
+  delete names[tabKey];
+  setCategories(allData, names);
+  
+  // Update lastSaved timestamp
+  allData.lastSaved = new Date().toLocaleString();
+  
+  return result;
+}
+
+// Largest number of items accepted by one bulk call
+const MAX_BULK_ITEMS = 100;
+
+// Raised when items of a bulk call fail; carries the per-item report
+class BulkOperationError extends BoardError {
+  constructor(message, results) {
+    super('BULK_ITEMS_FAILED', message, { details: { committed: false, results } });
+    this.name = 'BulkOperationError';
+    this.results = results;
+  }
+}
+
+// Apply an operation to every item of a bulk call against one board.
+// Every item is tried so the report lists all failures; if any item fails
+// the whole board is discarded and nothing is saved.
+function applyAll(allData, items, operation) {
+  const results = items.map((item, index) => {
+    try {
+      return { index, status: 'ok', result: operation(allData, item) };
+    } catch (error) {
+      return { index, status: 'failed', error: error.message, code: describeError(error).code };
+    }
+  });
+  
+  const failed = results.filter(result => result.status === 'failed');
+  if (failed.length > 0) {
+    throw new BulkOperationError(`${failed.length} of ${items.length} item(s) failed, no changes were saved`, results);
+  }
+  
+  return results;
+}
+
+// Run a bulk call as one read-modify-write cycle with a single save
+function runBulk(tool, args, operation) {
+  return applyChange(tool, args, allData => {
+    const results = applyAll(allData, args.items, operation);
+    return { committed: !args.dryRun, count: results.length, results };
+  });
+}
+
+// Tool result for a failed bulk call, with the per-item report when there is one
+function bulkErrorResult(action, error) {
+  const report = error instanceof BulkOperationError
+    ? `\n${JSON.stringify({ committed: false, results: error.results }, null, 2)}`
+    : '';
+  
+  return errorResult(action, error, `Error ${action}: ${error.message}${report}`);
+}
+
+// Argument validation
+// Tool arguments are checked against the tool's inputSchema before the
+// handler runs. Covers the JSON Schema keywords the schemas use: type, enum,
+// properties, required, additionalProperties, items, minItems, maxItems,
+// minimum, maximum and minLength.
+
+// Whether a value has a JSON Schema type
+function hasType(value, type) {
+  switch (type) {
+    case 'object': return isPlainObject(value);
+    case 'array': return Array.isArray(value);
+    case 'integer': return Number.isInteger(value);
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'null': return value === null;
+    default: return typeof value === type;
+  }
+}
+
+const withArticle = (type) => (/^[aeiou]/.test(type) ? 'an ' : 'a ') + type;
+
+const joinPath = (path, name) => (path ? `${path}.${name}` : name);
+
+// First problem with `value`, as { path, message }, or null when it matches
+function schemaViolation(schema, value, path) {
+  const fail = (message) => ({ path, message: `${path || 'arguments'} ${message}` });
+  
+  const types = [].concat(schema.type || []);
+  if (types.length > 0 && !types.some(type => hasType(value, type))) {
+    return fail(`must be ${types.map(withArticle).join(' or ')}`);
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    return fail(`must be one of: ${schema.enum.join(', ')}`);
+  }
+  
+  if (typeof value === 'string' && schema.minLength !== undefined && value.length < schema.minLength) {
+    return fail(schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters long`);
+  }
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      return fail(`must be at least ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      return fail(`must be at most ${schema.maximum}`);
+    }
+  }
+  
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      return fail(`must contain at least ${schema.minItems} item(s)`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      return fail(`can contain at most ${schema.maxItems} item(s)`);
+    }
+    if (schema.items) {
+      for (let i = 0; i < value.length; i++) {
+        const violation = schemaViolation(schema.items, value[i], `${path}[${i}]`);
+        if (violation) return violation;
+      }
+    }
+  }
+  
+  if (isPlainObject(value)) {
+    const missing = (schema.required || []).find(name => value[name] === undefined);
+    if (missing) {
+      return { path: joinPath(path, missing), message: `${joinPath(path, missing)} is required` };
+    }
+    
+    for (const name of Object.keys(value)) {
+      const propertySchema = (schema.properties || {})[name] ||
+        (isPlainObject(schema.additionalProperties) ? schema.additionalProperties : null);
+      
+      if (propertySchema) {
+        const violation = schemaViolation(propertySchema, value[name], joinPath(path, name));
+        if (violation) return violation;
+      } else if (schema.additionalProperties === false) {
+        const known = Object.keys(schema.properties || {});
+        return {
+          path: joinPath(path, name),
+          message: `Unknown argument: ${joinPath(path, name)} (expected ${known.join(', ')})`
+        };
+      }
+    }
+  }
+  
+  return null;
+}
+
+// Reject arguments that do not match a tool's input schema
+function validateArguments(schema, args) {
+  const violation = schemaViolation(schema, args, '');
+  if (violation) {
+    throw new BoardError('INVALID_ARGUMENT', violation.message, { details: { argument: violation.path || null } });
+  }
+}
+
+// Tool result with the data as structured content and, unless another text
+// is given, as JSON text
+const jsonResult = (data, text = JSON.stringify(data, null, 2)) => ({
+  content: [{ type: 'text', text }],
+  structuredContent: data
+});
+
+// Tool handlers
+const handlers = {
+  async get_messages(args) {
+    try {
+      // Get all data
+      const allData = await loadBoard({ fresh: args.fresh });
+      
+      // Filter by category if specified
+      let targetTabs = tabKeysOf(allData);
+      
+      if (args.category) {
+        targetTabs = [requireTabKey(allData, args.category)];
+      }
+      
+      // Flatten all messages from target tabs
+      const messages = [];
+      
+      targetTabs.forEach(tabKey => {
+        if (Array.isArray(allData[tabKey])) {
+          allData[tabKey].forEach(record => messages.push(messageView(allData, record, tabKey)));
+        }
+      });
+      
+      // Apply pagination if specified
+      let result = messages;
+      if (args.limit) {
+        const start = ((args.page || 1) - 1) * args.limit;
+        result = messages.slice(start, start + args.limit);
+      }
+      
+      return jsonResult({ messages: result });
+    } catch (error) {
+      return errorResult('getting messages', error);
+    }
+  },
+
+  async get_message(args) {
+    try {
+      // Get all data
+      const allData = await loadBoard({ fresh: args.fresh });
+      
+      const { record, tabKey } = findMessage(allData, args.messageId);
+      
+      return jsonResult(messageView(allData, record, tabKey));
+    } catch (error) {
+      return errorResult('getting message', error);
+    }
+  },
+
+  async create_message(args) {
+    try {
+      // Add new message to the tab array and save it back to server
+      const messageData = await applyChange('create_message', args, allData => createMessage(allData, args));
+      
+      return jsonResult(messageData);
+    } catch (error) {
+      return errorResult('creating message', error);
+    }
+  },
+
+  async update_message(args) {
+    try {
+      const updatedMessage = await applyChange('update_message', args, allData => updateMessage(allData, args));
+      
+      return jsonResult(updatedMessage);
+    } catch (error) {
+      return errorResult('updating message', error);
+    }
+  },
+
+  async delete_message(args) {
+    try {
+      const result = await applyChange('delete_message', args, allData => deleteMessage(allData, args));
+      
+      return jsonResult(result);
+    } catch (error) {
+      return errorResult('deleting message', error);
+    }
+  },
+
+  async bulk_create_messages(args) {
+    try {
+      const report = await runBulk('bulk_create_messages', args, createMessage);
+      return jsonResult(report);
+    } catch (error) {
+      return bulkErrorResult('creating messages', error);
+    }
+  },
+
+  async bulk_update_messages(args) {
+    try {
+      const report = await runBulk('bulk_update_messages', args, updateMessage);
+      return jsonResult(report);
+    } catch (error) {
+      return bulkErrorResult('updating messages', error);
+    }
+  },
+
+  async bulk_delete_messages(args) {
+    try {
+      const report = await runBulk('bulk_delete_messages', args, deleteMessage);
+      return jsonResult(report);
+    } catch (error) {
+      return bulkErrorResult('deleting messages', error);
+    }
+  },
+
+  async move_message(args) {
+    try {
+      const result = await applyChange('move_message', args, allData => moveMessage(allData, args));
+      return jsonResult(result);
+    } catch (error) {
+      return errorResult('moving message', error);
+    }
+  },
+
+  async reorder_messages(args) {
+    try {
+      const result = await applyChange('reorder_messages', args, allData => reorderMessages(allData, args));
+      return jsonResult(result);
+    } catch (error) {
+      return errorResult('reordering messages', error);
+    }
+  },
+
+  async swap_messages(args) {
+    try {
+      const result = await applyChange('swap_messages', args, allData => swapMessages(allData, args));
+      return jsonResult(result);
+    } catch (error) {
+      return errorResult('swapping messages', error);
+    }
+  },
+
+  async render_message(args) {
+    try {
+      const variables = args.variables || {};
+      
+      const allData = await loadBoard({ fresh: args.fresh });
+      const { record } = findMessage(allData, args.messageId);
+      
+      const nodes = parseTemplate(record.content);
+      const { text, missing } = renderTemplate(nodes, variables);
+      const known = templateVariables(nodes).map(variable => variable.name);
+      
+      const result = {
+        id: record.id,
+        text,
+        missingVariables: [...missing],
+        unusedVariables: Object.keys(variables).filter(name => !known.includes(name))
+      };
+      
+      if (args.strict && result.missingVariables.length > 0) {
+        throw new BoardError('INVALID_ARGUMENT', `Missing variables: ${result.missingVariables.join(', ')}`, {
+          details: { missingVariables: result.missingVariables }
+        });
+      }
+      
+      return jsonResult(result);
+    } catch (error) {
+      return errorResult('rendering message', error);
+    }
+  },
+
+  async list_template_variables(args) {
+    try {
+      const allData = await loadBoard({ fresh: args.fresh });
+      const { record } = findMessage(allData, args.messageId);
+      
+      const result = {
+        id: record.id,
+        variables: templateVariables(parseTemplate(record.content))
+      };
+      
+      return jsonResult(result);
+    } catch (error) {
+      return errorResult('listing template variables', error);
+    }
+  },
+
+  async search_messages(args) {
+    try {
+      const limit = args.limit || 10;
+      const mode = args.mode || 'text';
+      
+      const allData = await loadBoard({ fresh: args.fresh });
+      
+      let targetTabs = tabKeysOf(allData);
+      if (args.category) {
+        targetTabs = [requireTabKey(allData, args.category)];
+      }
+      
+      const hits = searchBoard(allData, args.query, targetTabs, { mode, maxDistance: args.maxDistance });
+      const result = { query: args.query, mode, total: hits.length, hits: hits.slice(0, limit) };
+      
+      return jsonResult(result);
+    } catch (error) {
+      return errorResult('searching messages', error);
+    }
+  },
+
+  async get_categories(args) {
+    try {
+      const allData = await loadBoard({ fresh: args.fresh });
+      
+      // Tabs that exist on the board, with their message counts
+      const names = getCategories(allData);
+      const categories = Object.keys(names).map(key => ({
+        id: key,
+        name: names[key],
+        messageCount: Array.isArray(allData[key]) ? allData[key].length : 0
+      }));
+      
+      return jsonResult({ categories });
+    } catch (error) {
+      return errorResult('getting categories', error);
+    }
+  },
+
+  async create_category(args) {
+    try {
+      const category = await applyChange('create_category', args, allData => createCategory(allData, args));
+      return jsonResult(category);
+    } catch (error) {
+      return errorResult('creating category', error);
+    }
+  },
+
+  async rename_category(args) {
+    try {
+      const category = await applyChange('rename_category', args, allData => renameCategory(allData, args));
+      return jsonResult(category);
+    } catch (error) {
+      return errorResult('renaming category', error);
+    }
+  },
+
+  async delete_category(args) {
+    try {
+      const result = await applyChange('delete_category', args, allData => deleteCategory(allData, args));
+      return jsonResult(result);
+    } catch (error) {
+      return errorResult('deleting category', error);
+    }
+  },
+
+  async undo_last_change(args) {
+    try {
+      const result = await undoLastChange(args);
+      return jsonResult(result);
+    } catch (error) {
+      return errorResult('undoing change', error);
+    }
+  },
+
+  async redo_change(args) {
+    try {
+      const result = await redoChange(args);
+      return jsonResult(result);
+    } catch (error) {
+      return errorResult('redoing change', error);
+    }
+  },
+
+  async list_recent_changes(args) {
+    try {
+      const { entries, redo } = await readHistory();
+      const limit = args.limit || 10;
+      return jsonResult({
+        changes: entries.slice(-limit).reverse().map(entryView),
+        canUndo: entries.some(entry => entry.status === 'applied'),
+        canRedo: redo.length > 0
+      });
+    } catch (error) {
+      return errorResult('listing recent changes', error);
+    }
+  },
+
+  async export_board(args) {
+    try {
+      const allData = await loadBoard({ fresh: args.fresh });
+      const exported = exportBoard(allData, { format: args.format || 'csv', categories: args.categories });
+      return jsonResult(exported, exported.text);
+    } catch (error) {
+      return errorResult('exporting board', error);
+    }
+  },
+
+  async import_messages(args) {
+    try {
+      const report = await importMessages(args);
+      return jsonResult(report);
+    } catch (error) {
+      return bulkErrorResult('importing messages', error);
+    }
+  },
+
+  async find_duplicates(args) {
+    try {
+      const allData = await loadBoard({ fresh: args.fresh });
+      const tabKeys = args.categories
+        ? [...new Set(args.categories.map(category => requireTabKey(allData, category)))]
+        : tabKeysOf(allData);
+      const threshold = args.threshold ?? DEFAULT_DUPLICATE_THRESHOLD;
+      const groups = findDuplicateGroups(allData, tabKeys, threshold);
+      return jsonResult({ threshold, groups });
+    } catch (error) {
+      return errorResult('finding duplicates', error);
+    }
+  },
+
+  async merge_duplicates(args) {
+    try {
+      const result = await applyChange('merge_duplicates', args, allData => mergeDuplicates(allData, args));
+      return jsonResult(result);
+    } catch (error) {
+      return errorResult('merging duplicates', error);
+    }
+  },
+
+  async list_snapshots(args) {
+    try {
+      const ids = (await snapshotIds()).slice(0, args.limit || 10);
+      // Corrupt snapshots are left out of the list
+      const snapshots = await Promise.all(ids.map(id => readSnapshot(id).then(snapshotView, error => {
+        if (error.code !== 'INVALID_SNAPSHOT') {
+          throw error;
+        }
+        return null;
+      })));
+      return jsonResult({ snapshots: snapshots.filter(Boolean) });
+    } catch (error) {
+      return errorResult('listing snapshots', error);
+    }
+  },
+
+  async diff_snapshot(args) {
+    try {
+      const snapshot = await readSnapshot(args.snapshotId);
+      const allData = await loadBoard({ fresh: args.fresh });
+      const restored = structuredClone(allData);
+      restoreSnapshot(restored, snapshot, args.category);
+      return jsonResult({ snapshotId: snapshot.id, createdAt: snapshot.createdAt, diff: diffBoards(allData, restored) });
+    } catch (error) {
+      return errorResult('diffing snapshot', error);
+    }
+  },
+
+  async restore_snapshot(args) {
+    try {
+      const snapshot = await readSnapshot(args.snapshotId);
+      const result = await applyChange('restore_snapshot', args, allData => restoreSnapshot(allData, snapshot, args.category));
+      return jsonResult(result);
+    } catch (error) {
+      return errorResult('restoring snapshot', error);
+    }
+  }
+};
+
+// Lets read-only tools bypass the read cache
+const freshProperty = {
+  type: 'boolean',
+  description: 'Revalidate the board with the backend instead of using a cached copy'
+};
+
+// Lets mutating tools preview their change
+const dryRunProperty = {
+  type: 'boolean',
+  description: 'Only preview: return the result and a diff of the board without saving anything'
+};
+
+// Input schema with the dryRun flag added
+const withDryRun = (schema) => ({ ...schema, properties: { ...schema.properties, dryRun: dryRunProperty } });
+
+// Input schemas shared by single-message and bulk tools
+const createMessageSchema = {
+  type: 'object',
+  properties: {
+    title: { type: 'string', minLength: 1, description: 'Message title' },
+    content: { type: 'string', minLength: 1, description: 'Message content' },
+    category: { type: 'string', minLength: 1, description: 'Message category name or ID (default: First Messages)' },
+    author: { type: 'string', description: 'Message author' },
+    tags: { type: 'array', items: { type: 'string' }, description: 'Message tags' }
+  },
+  required: ['title', 'content'],
+  additionalProperties: false
+};
+
+const updateMessageSchema = {
+  type: 'object',
+  properties: {
+    messageId: { type: 'string', minLength: 1, description: 'Message ID to update' },
+    title: { type: ['string', 'null'], minLength: 1, description: 'New message title (null: generate it from the content)' },
+    content: { type: 'string', minLength: 1, description: 'New message content' },
+    category: { type: 'string', minLength: 1, description: 'New message category (appended at the end, use move_message to pick a position)' },
+    author: { type: ['string', 'null'], description: 'New message author (null or empty: remove the author)' },
+    tags: { type: 'array', items: { type: 'string' }, description: 'New message tags (replaces existing tags, [] removes them)' }
+  },
+  required: ['messageId'],
+  additionalProperties: false
+};
+
+const deleteMessageSchema = {
+  type: 'object',
+  properties: {
+    messageId: { type: 'string', minLength: 1, description: 'Message ID to delete' }
+  },
+  required: ['messageId'],
+  additionalProperties: false
+};
+
+// Input schema of a bulk tool taking a list of single-message arguments
+const bulkSchema = (itemSchema, description) => ({
+  type: 'object',
+  properties: {
+    items: { type: 'array', items: itemSchema, minItems: 1, maxItems: MAX_BULK_ITEMS, description },
+    dryRun: dryRunProperty
+  },
+  required: ['items'],
+  additionalProperties: false
+});
+
+// Output schemas
+// Every tool declares the shape of its structuredContent. Failed calls carry
+// { error } instead (see errorResult), so each schema accepts either.
+
+const nullableString = { type: ['string', 'null'] };
+
+const errorOutput = {
+  type: 'object',
+  properties: {
+    code: { type: 'string' },
+    message: { type: 'string' },
+    retryable: { type: 'boolean' },
+    details: { type: ['object', 'null'] }
+  },
+  required: ['code', 'message', 'retryable']
+};
+
+// Output schema of a tool: its result, or { error } when the call failed
+const outputSchema = ({ properties, required = [] }) => ({
+  type: 'object',
+  properties: { ...properties, error: errorOutput },
+  anyOf: [{ required }, { required: ['error'] }]
+});
+
+const diffOutput = {
+  type: 'object',
+  properties: {
+    text: { type: 'string', description: 'Readable summary of the changes, grouped by tab' },
+    changes: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          type: {
+            type: 'string',
+            enum: ['category_added', 'category_removed', 'category_renamed', 'message_added', 'message_removed', 'message_modified', 'message_moved']
+          },
+          id: { type: 'string' },
+          tabId: { type: 'string' }
+        },
+        required: ['type']
+      }
+    }
+  },
+  required: ['text', 'changes']
+};
+
+// Output schema of a mutating tool, which adds dryRun and diff when previewing
+const mutationOutput = ({ properties, required }) => outputSchema({
+  properties: { ...properties, dryRun: { type: 'boolean' }, diff: diffOutput },
+  required
+});
+
+const messageOutput = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    title: { type: 'string' },
+    content: { type: 'string' },
+    author: nullableString,
+    tags: { type: 'array', items: { type: 'string' } },
+    tabId: { type: 'string' },
+    category: { type: 'string' },
+    createdAt: nullableString,
+    updatedAt: nullableString
+  },
+  required: ['id', 'title', 'content', 'tags', 'tabId', 'category']
+};
+
+const deletedMessageOutput = {
+  type: 'object',
+  properties: {
+    success: { type: 'boolean' },
+    messageId: { type: 'string' },
+    tabId: { type: 'string' },
+    category: { type: 'string' },
+    deletedAt: { type: 'string' }
+  },
+  required: ['success', 'messageId', 'tabId', 'category', 'deletedAt']
+};
+
+const positionOutput = {
+  type: 'object',
+  properties: {
+    tabId: { type: 'string' },
+    position: { type: 'integer' }
+  },
+  required: ['tabId', 'position']
+};
+
+const swappedOutput = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    tabId: { type: 'string' },
+    position: { type: 'integer' }
+  },
+  required: ['id', 'tabId', 'position']
+};
+
+const categoryOutput = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    name: { type: 'string' },
+    messageCount: { type: 'integer' }
+  },
+  required: ['id', 'name', 'messageCount']
+};
+
+const changeOutput = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    at: { type: 'string' },
+    tool: { type: 'string' },
+    status: { type: 'string', enum: ['applied', 'undone'] },
+    summary: { type: 'string' },
+    messageIds: { type: 'array', items: { type: 'string' } }
+  },
+  required: ['id', 'at', 'tool', 'status', 'summary', 'messageIds']
+};
+
+const snapshotOutput = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    createdAt: { type: 'string' },
+    tool: nullableString,
+    messageCount: { type: 'integer' },
+    categories: { type: 'array', items: categoryOutput }
+  },
+  required: ['id', 'createdAt', 'tool', 'messageCount', 'categories']
+};
+
+const importResultOutput = {
+  type: 'object',
+  properties: {
+    action: { type: 'string', enum: ['added', 'replaced', 'skipped'] },
+    duplicateOf: nullableString,
+    message: messageOutput
+  },
+  required: ['action', 'duplicateOf', 'message']
+};
+
+// Output schema of a bulk tool whose items return `resultSchema`, plus any
+// `extra` properties of its report
+const bulkOutput = (resultSchema, extra = { properties: {}, required: [] }) => mutationOutput({
+  properties: {
+    ...extra.properties,
+    committed: { type: 'boolean' },
+    count: { type: 'integer' },
+    results: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          index: { type: 'integer' },
+          status: { type: 'string', enum: ['ok', 'failed'] },
+          result: resultSchema,
+          error: { type: 'string' },
+          code: { type: 'string' }
+        },
+        required: ['index', 'status']
+      }
+    }
+  },
+  required: [...extra.required, 'committed', 'count', 'results']
+});
+
+// Tool definitions
+const tools = [
+  {
+    name: 'get_messages',
+    description: 'Get messages from the message board',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        category: { type: 'string', minLength: 1, description: 'Only messages of this category (name or ID)' },
+        limit: { type: 'integer', minimum: 1, description: 'Number of messages to retrieve (default: all)' },
+        page: { type: 'integer', minimum: 1, description: 'Page number for pagination, used with limit (default 1)' },
+        fresh: freshProperty
+      },
+      additionalProperties: false
+    },
+    outputSchema: outputSchema({
+      properties: {
+        messages: { type: 'array', items: messageOutput }
+      },
+      required: ['messages']
+    })
+  },
+  {
+    name: 'get_message',
+    description: 'Get a specific message by ID',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        messageId: { type: 'string', minLength: 1, description: 'Message ID (legacy "tabN-msgM" IDs are accepted while unambiguous)' },
+        fresh: freshProperty
+      },
+      required: ['messageId'],
+      additionalProperties: false
+    },
+    outputSchema: outputSchema(messageOutput)
+  },
+  {
+    name: 'create_message',
+    description: 'Create a new message',
+    inputSchema: withDryRun(createMessageSchema),
+    outputSchema: mutationOutput(messageOutput)
+  },
+  {
+    name: 'update_message',
+    description: 'Update an existing message',
+    inputSchema: withDryRun(updateMessageSchema),
+    outputSchema: mutationOutput(messageOutput)
+  },
+  {
+    name: 'delete_message',
+    description: 'Delete a message',
+    inputSchema: withDryRun(deleteMessageSchema),
+    outputSchema: mutationOutput(deletedMessageOutput)
+  },
+  {
+    name: 'bulk_create_messages',
+    description: 'Create several messages in one all-or-nothing write',
+    inputSchema: bulkSchema(createMessageSchema, 'Messages to create'),
+    outputSchema: bulkOutput(messageOutput)
+  },
+  {
+    name: 'bulk_update_messages',
+    description: 'Update several messages in one all-or-nothing write',
+    inputSchema: bulkSchema(updateMessageSchema, 'Message updates to apply'),
+    outputSchema: bulkOutput(messageOutput)
+  },
+  {
+    name: 'bulk_delete_messages',
+    description: 'Delete several messages in one all-or-nothing write',
+    inputSchema: bulkSchema(deleteMessageSchema, 'Messages to delete'),
+    outputSchema: bulkOutput(deletedMessageOutput)
+  },
+  {
+    name: 'move_message',
+    description: 'Move a message to a position in the same or another category; the message keeps its ID',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        messageId: { type: 'string', minLength: 1, description: 'Message ID to move' },
+        category: { type: 'string', minLength: 1, description: 'Target category (default: current category)' },
+        position: { type: 'integer', minimum: 0, description: 'Zero-based target position (default: end of the category)' },
+        dryRun: dryRunProperty
+      },
+      required: ['messageId'],
+      additionalProperties: false
+    },
+    outputSchema: mutationOutput({
+      properties: {
+        message: messageOutput,
+        from: positionOutput,
+        to: positionOutput
+      },
+      required: ['message', 'from', 'to']
+    })
+  },
+  {
+    name: 'reorder_messages',
+    description: 'Set the order of all messages in a category',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        category: { type: 'string', minLength: 1, description: 'Category to reorder' },
+        messageIds: { type: 'array', items: { type: 'string', minLength: 1 }, description: 'Every message ID of the category, in the new order' },
+        dryRun: dryRunProperty
+      },
+      required: ['category', 'messageIds'],
+      additionalProperties: false
+    },
+    outputSchema: mutationOutput({
+      properties: {
+        tabId: { type: 'string' },
+        category: { type: 'string' },
+        order: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              position: { type: 'integer' },
+              id: { type: 'string' },
+              title: { type: 'string' }
+            },
+            required: ['position', 'id', 'title']
+          }
+        }
+      },
+      required: ['tabId', 'category', 'order']
+    })
+  },
+  {
+    name: 'swap_messages',
+    description: 'Swap the positions of two messages (also across categories)',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        firstId: { type: 'string', minLength: 1, description: 'First message ID' },
+        secondId: { type: 'string', minLength: 1, description: 'Second message ID' },
+        dryRun: dryRunProperty
+      },
+      required: ['firstId', 'secondId'],
+      additionalProperties: false
+    },
+    outputSchema: mutationOutput({
+      properties: {
+        first: swappedOutput,
+        second: swappedOutput
+      },
+      required: ['first', 'second']
+    })
+  },
+  {
+    name: 'render_message',
+    description: 'Fill in the placeholders of a message template ({{firstName}}, {{company|default}}, {{#if var}}...{{else}}...{{/if}}) and report missing or unused variables',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        messageId: { type: 'string', minLength: 1, description: 'Message ID of the template' },
+        variables: {
+          type: 'object',
+          additionalProperties: { type: ['string', 'number', 'boolean'] },
+          description: 'Values for the template variables, e.g. { "firstName": "Ana" }'
+        },
+        strict: { type: 'boolean', description: 'Fail instead of leaving placeholders when variables are missing' },
+        fresh: freshProperty
+      },
+      required: ['messageId'],
+      additionalProperties: false
+    },
+    outputSchema: outputSchema({
+      properties: {
+        id: { type: 'string' },
+        text: { type: 'string' },
+        missingVariables: { type: 'array', items: { type: 'string' } },
+        unusedVariables: { type: 'array', items: { type: 'string' } }
+      },
+      required: ['id', 'text', 'missingVariables', 'unusedVariables']
+    })
+  },
+  {
+    name: 'list_template_variables',
+    description: 'List the variables a message template expects, with defaults and whether they are required',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        messageId: { type: 'string', minLength: 1, description: 'Message ID of the template' },
+        fresh: freshProperty
+      },
+      required: ['messageId'],
+      additionalProperties: false
+    },
+    outputSchema: outputSchema({
+      properties: {
+        id: { type: 'string' },
+        variables: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              name: { type: 'string' },
+              required: { type: 'boolean' },
+              defaults: { type: 'array', items: { type: 'string' } },
+              usedInConditions: { type: 'boolean' },
+              occurrences: { type: 'integer' }
+            },
+            required: ['name', 'required', 'defaults', 'usedInConditions', 'occurrences']
+          }
+        }
+      },
+      required: ['id', 'variables']
+    })
+  },
+  {
+    name: 'search_messages',
+    description: 'Full-text search across all tabs. Case- and accent-insensitive; supports "exact phrases", AND, OR, NOT (or -word) and parentheses. Use mode "fuzzy" when you only remember the wording approximately, or mode "regex" for a regular expression. Returns ranked hits with highlighted snippets and message IDs.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        query: { type: 'string', minLength: 1, description: 'Search query, e.g. webinar AND ("follow up" OR reminder) -draft' },
+        category: { type: 'string', minLength: 1, description: 'Only search this category' },
+        limit: { type: 'integer', minimum: 1, maximum: 100, description: 'Maximum number of hits to return (1-100, default 10)' },
+        mode: {
+          type: 'string',
+          enum: SEARCH_MODES,
+          description: 'text (default): query language; regex: case-insensitive regular expression; fuzzy: words may differ by a few letters'
+        },
+        maxDistance: { type: 'integer', minimum: 0, maximum: 5, description: 'Fuzzy mode: maximum edit distance per word (0-5, default depends on word length)' },
+        fresh: freshProperty
+      },
+      required: ['query'],
+      additionalProperties: false
+    },
+    outputSchema: outputSchema({
+      properties: {
+        query: { type: 'string' },
+        mode: { type: 'string', enum: SEARCH_MODES },
+        total: { type: 'integer' },
+        hits: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              id: { type: 'string' },
+              title: { type: 'string' },
+              tabId: { type: 'string' },
+              category: { type: 'string' },
+              score: { type: 'number' },
+              snippet: { type: 'string' }
+            },
+            required: ['id', 'title', 'tabId', 'category', 'score', 'snippet']
+          }
+        }
+      },
+      required: ['query', 'mode', 'total', 'hits']
+    })
+  },
+  {
+    name: 'get_categories',
+    description: 'Get the categories (tabs) of the board with their message counts',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        fresh: freshProperty
+      },
+      additionalProperties: false
+    },
+    outputSchema: outputSchema({
+      properties: {
+        categories: { type: 'array', items: categoryOutput }
+      },
+      required: ['categories']
+    })
+  },
+  {
+    name: 'create_category',
+    description: 'Create a new, empty category (tab)',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        name: { type: 'string', minLength: 1, description: 'Category name' },
+        dryRun: dryRunProperty
+      },
+      required: ['name'],
+      additionalProperties: false
+    },
+    outputSchema: mutationOutput(categoryOutput)
+  },
+  {
+    name: 'rename_category',
+    description: 'Rename a category (tab); its ID and messages stay the same',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        category: { type: 'string', minLength: 1, description: 'Current category name or ID' },
+        newName: { type: 'string', minLength: 1, description: 'New category name' },
+        dryRun: dryRunProperty
+      },
+      required: ['category', 'newName'],
+      additionalProperties: false
+    },
+    outputSchema: mutationOutput({
+      properties: {
+        id: { type: 'string' },
+        oldName: { type: 'string' },
+        name: { type: 'string' }
+      },
+      required: ['id', 'oldName', 'name']
+    })
+  },
+  {
+    name: 'delete_category',
+    description: 'Delete a category (tab)',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        category: { type: 'string', minLength: 1, description: 'Category name or ID to delete' },
+        policy: {
+          type: 'string',
+          enum: DELETE_POLICIES,
+          description: 'What to do with messages in the category: reject (default, fail unless empty), move (to targetCategory) or delete'
+        },
+        targetCategory: { type: 'string', minLength: 1, description: 'Category that receives the messages with policy "move"' },
+        dryRun: dryRunProperty
+      },
+      required: ['category'],
+      additionalProperties: false
+    },
+    outputSchema: mutationOutput({
+      properties: {
+        id: { type: 'string' },
+        name: { type: 'string' },
+        policy: { type: 'string', enum: DELETE_POLICIES },
+        messageCount: { type: 'integer' },
+        movedTo: {
+          type: 'object',
+          properties: {
+            id: { type: 'string' },
+            name: { type: 'string' }
+          },
+          required: ['id', 'name']
+        }
+      },
+      required: ['id', 'name', 'policy', 'messageCount']
+    })
+  },
+  {
+    name: 'undo_last_change',
+    description: 'Undo the most recent change made through this server, unless later edits touched the same messages or categories',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        dryRun: dryRunProperty
+      },
+      additionalProperties: false
+    },
+    outputSchema: mutationOutput({
+      properties: { undone: changeOutput },
+      required: ['undone']
+    })
+  },
+  {
+    name: 'redo_change',
+    description: 'Re-apply the most recently undone change, unless later edits touched the same messages or categories',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        dryRun: dryRunProperty
+      },
+      additionalProperties: false
+    },
+    outputSchema: mutationOutput({
+      properties: { redone: changeOutput },
+      required: ['redone']
+    })
+  },
+  {
+    name: 'list_recent_changes',
+    description: 'List recent changes recorded in the change journal, newest first',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        limit: { type: 'integer', minimum: 1, maximum: MAX_JOURNAL_ENTRIES, description: 'Number of changes to return (default 10)' }
+      },
+      additionalProperties: false
+    },
+    outputSchema: outputSchema({
+      properties: {
+        changes: { type: 'array', items: changeOutput },
+        canUndo: { type: 'boolean' },
+        canRedo: { type: 'boolean' }
+      },
+      required: ['changes', 'canUndo', 'canRedo']
+    })
+  },
   {
-    name: 'get_messages',
-    description: 'Get messages from the message board',
+    name: 'export_board',
+    description: 'Export messages as CSV, Markdown (one section per category) or JSON Lines, for spreadsheets and documents',
     inputSchema: {
       type: 'object',
       properties: {
-        category: { type: 'string', description: 'Filter by category' },
-        limit: { type: 'number', description: 'Number of messages to retrieve' },
-        page: { type: 'number', description: 'Page number for pagination' }
-      }
-    }
+        format: { type: 'string', enum: EXPORT_FORMATS, description: 'Export format (default csv)' },
+        categories: {
+          type: 'array',
+          items: { type: 'string', minLength: 1 },
+          minItems: 1,
+          description: 'Only export these categories (names or IDs), in this order (default: all)'
+        },
+        fresh: freshProperty
+      },
+      additionalProperties: false
+    },
+    outputSchema: outputSchema({
+      properties: {
+        format: { type: 'string', enum: EXPORT_FORMATS },
+        mimeType: { type: 'string' },
+        messageCount: { type: 'integer' },
+        tabIds: { type: 'array', items: { type: 'string' } },
+        text: { type: 'string' }
+      },
+      required: ['format', 'mimeType', 'messageCount', 'tabIds', 'text']
+    })
   },
   {
-    name: 'get_message',
-    description: 'Get a specific message by ID',
+    name: 'import_messages',
+    description: 'Import messages from CSV, Markdown or JSON text or a file from the import directory in one all-or-nothing write, skipping, replacing or appending duplicates',
     inputSchema: {
       type: 'object',
       properties: {
-        messageId: { type: 'string', description: 'Message ID' }
+        content: { type: 'string', minLength: 1, description: 'Text to import (use this or file)' },
+        file: { type: 'string', minLength: 1, description: 'Path of a file in the import directory, relative to it (use this or content)' },
+        format: { type: 'string', enum: IMPORT_FORMATS, description: 'Input format (default: from the file extension or the text)' },
+        columns: {
+          type: 'object',
+          properties: Object.fromEntries(IMPORT_FIELDS.map(field => [field, { type: 'string', minLength: 1 }])),
+          additionalProperties: false,
+          description: 'Source column (CSV) or key (JSON) for each field, e.g. { "content": "Body", "category": "Tab" } (default: the field names)'
+        },
+        category: { type: 'string', minLength: 1, description: 'Category for messages that do not name one (default: First Messages)' },
+        onDuplicate: {
+          type: 'string',
+          enum: DUPLICATE_POLICIES,
+          description: 'Messages with an existing ID, or the same content in the same category: skip (default), replace the existing message, or append anyway'
+        },
+        dryRun: dryRunProperty
       },
-      required: ['messageId']
-    }
+      additionalProperties: false
+    },
+    outputSchema: bulkOutput(importResultOutput, {
+      properties: {
+        format: { type: 'string', enum: IMPORT_FORMATS },
+        added: { type: 'integer' },
+        replaced: { type: 'integer' },
+        skipped: { type: 'integer' }
+      },
+      required: ['format', 'added', 'replaced', 'skipped']
+    })
   },
   {
-    name: 'create_message',
-    description: 'Create a new message',
+    name: 'find_duplicates',
+    description: 'Find groups of duplicate and near-duplicate messages across categories',
     inputSchema: {
       type: 'object',
       properties: {
-        title: { type: 'string', description: 'Message title' },
-        content: { type: 'string', description: 'Message content' },
-        category: { type: 'string', description: 'Message category' },
-        author: { type: 'string', description: 'Message author' }
+        threshold: {
+          type: 'number',
+          minimum: 0,
+          maximum: 1,
+          description: `Similarity from which messages count as duplicates, 1 for exact duplicates only (default ${DEFAULT_DUPLICATE_THRESHOLD})`
+        },
+        categories: {
+          type: 'array',
+          items: { type: 'string', minLength: 1 },
+          minItems: 1,
+          description: 'Only look in these categories (names or IDs, default: all)'
+        },
+        fresh: freshProperty
       },
-      required: ['title', 'content']
-    }
+      additionalProperties: false
+    },
+    outputSchema: outputSchema({
+      properties: {
+        threshold: { type: 'number' },
+        groups: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              exact: { type: 'boolean' },
+              tabIds: { type: 'array', items: { type: 'string' } },
+              messages: {
+                type: 'array',
+                items: {
+                  ...messageOutput,
+                  properties: { ...messageOutput.properties, position: { type: 'integer' }, similarity: { type: 'number' } },
+                  required: [...messageOutput.required, 'position', 'similarity']
+                }
+              }
+            },
+            required: ['exact', 'tabIds', 'messages']
+          }
+        }
+      },
+      required: ['threshold', 'groups']
+    })
   },
   {
-    name: 'update_message',
-    description: 'Update an existing message',
+    name: 'merge_duplicates',
+    description: 'Keep one message of a duplicate group and delete the others in one write',
     inputSchema: {
       type: 'object',
       properties: {
-        messageId: { type: 'string', description: 'Message ID to update' },
-        title: { type: 'string', description: 'New message title' },
-        content: { type: 'string', description: 'New message content' },
-        category: { type: 'string', description: 'New message category' },
-        author: { type: 'string', description: 'New message author' }
+        keep: { type: 'string', minLength: 1, description: 'ID of the message to keep' },
+        remove: {
+          type: 'array',
+          items: { type: 'string', minLength: 1 },
+          minItems: 1,
+          maxItems: MAX_BULK_ITEMS,
+          description: 'IDs of the duplicates to delete'
+        },
+        threshold: {
+          type: 'number',
+          minimum: 0,
+          maximum: 1,
+          description: `Refuse to delete a message less similar than this to the one kept (default ${DEFAULT_DUPLICATE_THRESHOLD})`
+        },
+        mergeTags: { type: 'boolean', description: 'Add the tags of the deleted messages to the one kept' },
+        dryRun: dryRunProperty
       },
-      required: ['messageId']
-    }
+      required: ['keep', 'remove'],
+      additionalProperties: false
+    },
+    outputSchema: mutationOutput({
+      properties: {
+        kept: messageOutput,
+        removed: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              id: { type: 'string' },
+              title: { type: 'string' },
+              tabId: { type: 'string' },
+              category: { type: 'string' },
+              similarity: { type: 'number' }
+            },
+            required: ['id', 'title', 'tabId', 'category', 'similarity']
+          }
+        }
+      },
+      required: ['kept', 'removed']
+    })
   },
   {
-    name: 'delete_message',
-    description: 'Delete a message',
+    name: 'list_snapshots',
+    description: 'List snapshots of the board taken before each save, newest first',
     inputSchema: {
       type: 'object',
       properties: {
-        messageId: { type: 'string', description: 'Message ID to delete' }
+        limit: { type: 'integer', minimum: 1, maximum: 1000, description: 'Number of snapshots to return (default 10)' }
       },
-      required: ['messageId']
-    }
+      additionalProperties: false
+    },
+    outputSchema: outputSchema({
+      properties: {
+        snapshots: { type: 'array', items: snapshotOutput }
+      },
+      required: ['snapshots']
+    })
   },
   {
-    name: 'get_categories',
-    description: 'Get all available categories',
+    name: 'diff_snapshot',
+    description: 'Show what restoring a snapshot (the whole board or one category) would change on the current board',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        snapshotId: { type: 'string', minLength: 1, description: 'Snapshot ID from list_snapshots' },
+        category: { type: 'string', minLength: 1, description: 'Only compare this category (name or ID in the snapshot)' },
+        fresh: freshProperty
+      },
+      required: ['snapshotId'],
+      additionalProperties: false
+    },
+    outputSchema: outputSchema({
+      properties: {
+        snapshotId: { type: 'string' },
+        createdAt: { type: 'string' },
+        diff: diffOutput
+      },
+      required: ['snapshotId', 'createdAt', 'diff']
+    })
+  },
+  {
+    name: 'restore_snapshot',
+    description: 'Restore the whole board, or a single category, from a snapshot',
     inputSchema: {
       type: 'object',
-      properties: {}
+      properties: {
+        snapshotId: { type: 'string', minLength: 1, description: 'Snapshot ID from list_snapshots' },
+        category: { type: 'string', minLength: 1, description: 'Only restore this category (name or ID in the snapshot); messages of it that moved elsewhere come back' },
+        dryRun: dryRunProperty
+      },
+      required: ['snapshotId'],
+      additionalProperties: false
+    },
+    outputSchema: mutationOutput({
+      properties: {
+        snapshotId: { type: 'string' },
+        scope: { type: 'string', enum: ['board', 'category'] },
+        id: { type: 'string' },
+        category: { type: 'string' },
+        messageCount: { type: 'integer' }
+      },
+      required: ['snapshotId', 'scope', 'messageCount']
+    })
+  }
+];
+
+// Resources
+// messageboard://tabs            all tabs with message counts (JSON)
+// messageboard://tab/{tabId}     one tab as Markdown, one section per message
+// messageboard://message/{id}    the text of a single message
+
+const RESOURCE_SCHEME = 'messageboard://';
+
+const resourceTemplates = [
+  {
+    uriTemplate: `${RESOURCE_SCHEME}tab/{tabId}`,
+    name: 'Message board tab',
+    description: 'All messages of one tab (category ID or name) as Markdown',
+    mimeType: 'text/markdown'
+  },
+  {
+    uriTemplate: `${RESOURCE_SCHEME}message/{id}`,
+    name: 'Message board message',
+    description: 'The text of a single message, by message ID',
+    mimeType: 'text/plain'
+  }
+];
+
+// Tab index with message counts
+function tabsResource(allData) {
+  const names = getCategories(allData);
+  return {
+    tabs: Object.keys(names).map(key => ({
+      id: key,
+      name: names[key],
+      messageCount: Array.isArray(allData[key]) ? allData[key].length : 0,
+      uri: `${RESOURCE_SCHEME}tab/${key}`
+    }))
+  };
+}
+
+// Markdown rendering of one tab
+function tabMarkdown(allData, tabKey) {
+  const messages = Array.isArray(allData[tabKey]) ? allData[tabKey] : [];
+  const sections = messages.map(record => {
+    const view = messageView(allData, record, tabKey);
+    return `## ${view.title}\n\nID: \`${view.id}\`\n\n${view.content}`;
+  });
+  
+  return [`# ${categoryName(allData, tabKey)}`, ...sections].join('\n\n') + '\n';
+}
+
+// Concrete resources of a board: the tab index, every tab and every message
+function listResourcesFrom(allData) {
+  const names = getCategories(allData);
+  const resources = [{
+    uri: `${RESOURCE_SCHEME}tabs`,
+    name: 'Message board tabs',
+    description: 'All tabs with message counts',
+    mimeType: 'application/json'
+  }];
+  
+  Object.keys(names).forEach(tabKey => {
+    resources.push({
+      uri: `${RESOURCE_SCHEME}tab/${tabKey}`,
+      name: names[tabKey],
+      description: `Messages in ${names[tabKey]}`,
+      mimeType: 'text/markdown'
+    });
+  });
+  
+  tabKeysOf(allData).forEach(tabKey => {
+    allData[tabKey].forEach(record => {
+      const view = messageView(allData, record, tabKey);
+      resources.push({
+        uri: `${RESOURCE_SCHEME}message/${encodeURIComponent(view.id)}`,
+        name: view.title,
+        description: `Message in ${view.category}`,
+        mimeType: 'text/plain'
+      });
+    });
+  });
+  
+  return resources;
+}
+
+// Read a resource by URI from a board
+function readResourceFrom(allData, uri) {
+  if (uri === `${RESOURCE_SCHEME}tabs`) {
+    return { uri, mimeType: 'application/json', text: JSON.stringify(tabsResource(allData), null, 2) };
+  }
+  
+  const match = uri.startsWith(RESOURCE_SCHEME) && uri.slice(RESOURCE_SCHEME.length).match(/^(tab|message)\/([^/]+)$/);
+  if (!match) {
+    throw new McpError(ErrorCode.InvalidParams, `Unknown resource: ${uri}`);
+  }
+  const target = decodeURIComponent(match[2]);
+  
+  if (match[1] === 'tab') {
+    const tabKey = findTabKey(allData, target);
+    if (!tabKey) {
+      throw new McpError(ErrorCode.InvalidParams, `Unknown tab: ${target}`);
+    }
+    return { uri, mimeType: 'text/markdown', text: tabMarkdown(allData, tabKey) };
+  }
+  
+  let found;
+  try {
+    found = findMessage(allData, target);
+  } catch (error) {
+    throw new McpError(ErrorCode.InvalidParams, error.message);
+  }
+  return { uri, mimeType: 'text/plain', text: found.record.content };
+}
+
+// Resource subscriptions
+// While at least one resource is subscribed, the board is polled with
+// conditional requests. Each subscribed resource is fingerprinted, and clients
+// are only notified about resources whose content actually changed.
+
+// Connected server -> (subscribed URI -> fingerprint of its content, null when it does not resolve)
+const subscriptions = new Map();
+
+// Poll state: pending timer, ETag of the last snapshot, fingerprint of the resource list
+const watcher = { timer: null, revision: null, listFingerprint: null };
+
+const fingerprint = (text) => createHash('sha1').update(text).digest('hex');
+
+function resourceFingerprint(allData, uri) {
+  try {
+    return fingerprint(readResourceFrom(allData, uri).text);
+  } catch (error) {
+    return null;
+  }
+}
+
+const resourceListFingerprint = (allData) =>
+  fingerprint(JSON.stringify(listResourcesFrom(allData).map(resource => [resource.uri, resource.name])));
+
+// Whether any connected client has subscriptions
+const hasSubscriptions = () => [...subscriptions.values()].some(uris => uris.size > 0);
+
+// Compare a new snapshot with the previous fingerprints and notify about changes
+async function detectChanges(allData) {
+  const listFingerprint = resourceListFingerprint(allData);
+  const listChanged = watcher.listFingerprint !== null && listFingerprint !== watcher.listFingerprint;
+  watcher.listFingerprint = listFingerprint;
+  
+  for (const [server, uris] of subscriptions) {
+    const updated = [];
+    uris.forEach((previous, uri) => {
+      const current = resourceFingerprint(allData, uri);
+      if (current !== previous) {
+        updated.push(uri);
+        uris.set(uri, current);
+      }
+    });
+    
+    try {
+      for (const uri of updated) {
+        await server.sendResourceUpdated({ uri });
+      }
+      if (listChanged) {
+        await server.sendResourceListChanged();
+      }
+    } catch (error) {
+      console.error(`Failed to notify client: ${error.message}`);
+    }
+  }
+}
+
+// Fetch the board unless it is unchanged since the last poll
+async function pollBoard() {
+  const snapshot = await storage.read({ ifNoneMatch: watcher.revision });
+  if (!snapshot) {
+    return;
+  }
+  
+  watcher.revision = snapshot.revision;
+  await detectChanges(normalizeBoard(snapshot.data));
+}
+
+// Schedule the next poll; polling stops once nothing is subscribed
+function schedulePoll() {
+  if (watcher.timer || !hasSubscriptions()) {
+    return;
+  }
+  
+  const timer = setTimeout(async () => {
+    try {
+      await pollBoard();
+    } catch (error) {
+      console.error(`Change detection failed: ${error.message}`);
+    }
+    // Polling may have been stopped and restarted meanwhile; then the new
+    // timer is the one that keeps going
+    if (watcher.timer === timer) {
+      watcher.timer = null;
+      schedulePoll();
     }
+  }, config.pollInterval);
+  watcher.timer = timer;
+}
+
+// Stop polling when the last subscription is gone
+function stopPollingIfIdle() {
+  if (!hasSubscriptions() && watcher.timer) {
+    clearTimeout(watcher.timer);
+    watcher.timer = null;
+  }
+}
+
+async function subscribe(server, uri) {
+  const allData = await loadBoard();
+  
+  // Only resources that currently exist can be subscribed
+  readResourceFrom(allData, uri);
+  if (!subscriptions.has(server)) {
+    subscriptions.set(server, new Map());
+  }
+  subscriptions.get(server).set(uri, resourceFingerprint(allData, uri));
+  if (watcher.listFingerprint === null) {
+    watcher.listFingerprint = resourceListFingerprint(allData);
+  }
+  schedulePoll();
+}
+
+function unsubscribe(server, uri) {
+  if (subscriptions.has(server)) {
+    subscriptions.get(server).delete(uri);
   }
+  stopPollingIfIdle();
+}
+
+// Forget every subscription of a disconnected client
+function dropSubscriptions(server) {
+  subscriptions.delete(server);
+  stopPollingIfIdle();
+}
+
+// Prompts
+// Each prompt drafts a message for one stage of the outreach pipeline and
+// embeds the templates currently stored in the matching tab as examples.
+// The tab is found by its built-in name, then by its built-in ID (it may
+// have been renamed); a `category` argument picks another one.
+
+// Maximum number of templates embedded as examples
+const MAX_PROMPT_EXAMPLES = 5;
+
+// Arguments shared by all drafting prompts
+const draftArguments = [
+  { name: 'recipientName', description: 'Name of the person the message is for', required: true },
+  { name: 'context', description: 'What you know about the recipient or the conversation so far', required: false },
+  { name: 'tone', description: 'Desired tone, e.g. friendly, formal, concise (default: match the examples)', required: false },
+  { name: 'category', description: 'Category (name or ID) whose templates serve as examples (default: the one of this stage)', required: false }
 ];
 
-// Create MCP server
-const server = new Server({
-  name: 'modern-message-board-mcp',
-  version: '1.0.0'
-}, {
-  capabilities: {
-    tools: {}
+const prompts = [
+  {
+    name: 'draft_first_message',
+    description: 'Draft a first outreach message, using the First Messages templates as examples',
+    arguments: draftArguments,
+    tabKey: () => '1',
+    task: (args) => `Draft a first outreach message to ${args.recipientName}.`
+  },
+  {
+    name: 'draft_followup',
+    description: 'Draft a follow-up message, using the templates of the matching follow-up stage as examples',
+    arguments: [
+      ...draftArguments,
+      { name: 'stage', description: 'Follow-up stage: 2 (Second Messages, default), 3 (Third Messages) or 4 (Fourth Messages)', required: false }
+    ],
+    tabKey: (args) => {
+      const stage = args.stage || '2';
+      if (!['2', '3', '4'].includes(stage)) {
+        throw new McpError(ErrorCode.InvalidParams, `stage must be 2, 3 or 4, got ${stage}`);
+      }
+      return stage;
+    },
+    task: (args) => `Draft a follow-up message to ${args.recipientName}, who has not replied to our earlier messages yet.`
+  },
+  {
+    name: 'reply_to_interested',
+    description: 'Draft a reply to a prospect who showed interest, using the Interested templates as examples',
+    arguments: draftArguments,
+    tabKey: () => '7',
+    task: (args) => `Draft a reply to ${args.recipientName}, who has answered and is interested.`
   }
-});
+];
 
-// Handle tool listing
-server.setRequestHandler(ListToolsRequestSchema, async () => {
-  return { tools };
-});
+// Tab a prompt takes its examples from: the requested category, or the tab
+// with the built-in name of `defaultKey`, or `defaultKey` itself while it exists
+function promptTabKey(allData, defaultKey, category) {
+  const tabKey = category
+    ? findTabKey(allData, category)
+    : findTabKey(allData, DEFAULT_TAB_NAMES[defaultKey]) || (getCategories(allData)[defaultKey] ? defaultKey : null);
+  if (!tabKey) {
+    throw new McpError(ErrorCode.InvalidParams, category
+      ? `Unknown category: ${category}`
+      : `The ${DEFAULT_TAB_NAMES[defaultKey]} category no longer exists, pass a category argument`);
+  }
+  return tabKey;
+}
 
-// Handle tool calls
-server.setRequestHandler(CallToolRequestSchema, async (request) => {
-  const { name, arguments: args } = request.params;
+// Build the prompt text with live examples from the board
+async function getPrompt(name, args = {}) {
+  const prompt = prompts.find(candidate => candidate.name === name);
+  if (!prompt) {
+    throw new McpError(ErrorCode.InvalidParams, `Unknown prompt: ${name}`);
+  }
+  
+  const missing = prompt.arguments.find(argument => argument.required && !args[argument.name]);
+  if (missing) {
+    throw new McpError(ErrorCode.InvalidParams, `Missing required argument: ${missing.name}`);
+  }
+  
+  const defaultKey = prompt.tabKey(args);
+  const allData = await loadBoard();
+  const tabKey = promptTabKey(allData, defaultKey, args.category);
+  const tabName = categoryName(allData, tabKey);
+  const examples = (Array.isArray(allData[tabKey]) ? allData[tabKey] : []).slice(-MAX_PROMPT_EXAMPLES);
+  
+  const lines = [prompt.task(args)];
+  if (args.context) {
+    lines.push(`Context: ${args.context}`);
+  }
+  lines.push(args.tone ? `Tone: ${args.tone}` : 'Tone: match the examples below.');
+  
+  if (examples.length > 0) {
+    lines.push('', `These are the templates our team currently uses in "${tabName}". Follow their style, length and structure:`);
+    examples.forEach((record, idx) => {
+      lines.push('', `Example ${idx + 1}:`, '"""', record.content, '"""');
+    });
+  } else {
+    lines.push('', `There are no templates in "${tabName}" yet, so keep the message short and personal.`);
+  }
+  lines.push('', 'Reply with the message text only.');
   
-  if (!handlers[name]) {
-    return { 
-      content: [{ type: 'text', text: `Unknown tool: ${name}` }], 
-      isError: true 
+  return {
+    description: prompt.description,
+    messages: [{ role: 'user', content: { type: 'text', text: lines.join('\n') } }]
+  };
+}
+
+// Create an MCP server with all handlers registered.
+// stdio mode uses one; HTTP mode creates one per client session.
+function createServer() {
+  const server = new Server({
+    name: 'modern-message-board-mcp',
+    version: '1.0.0'
+  }, {
+    capabilities: {
+      tools: {},
+      resources: { subscribe: true, listChanged: true },
+      prompts: {}
+    }
+  });
+
+  // Handle tool listing
+  server.setRequestHandler(ListToolsRequestSchema, async () => {
+    return { tools };
+  });
+
+  // Handle tool calls
+  server.setRequestHandler(CallToolRequestSchema, async (request) => {
+    const { name, arguments: args } = request.params;
+    
+    if (!handlers[name]) {
+      const error = new BoardError('NOT_FOUND', `Unknown tool: ${name}`, { details: { tool: name } });
+      return errorResult(`executing ${name}`, error, error.message);
+    }
+    
+    try {
+      const tool = tools.find(definition => definition.name === name);
+      validateArguments(tool.inputSchema, args || {});
+      return await handlers[name](args || {});
+    } catch (error) {
+      return errorResult(`executing ${name}`, error);
+    }
+  });
+
+  // Handle resource listing
+  server.setRequestHandler(ListResourcesRequestSchema, async () => {
+    return { resources: listResourcesFrom(await loadBoard()) };
+  });
+
+  server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => {
+    return { resourceTemplates };
+  });
+
+  // Handle resource reads
+  server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
+    return { contents: [readResourceFrom(await loadBoard(), request.params.uri)] };
+  });
+
+  // Handle resource subscriptions
+  server.setRequestHandler(SubscribeRequestSchema, async (request) => {
+    await subscribe(server, request.params.uri);
+    return {};
+  });
+
+  server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+    unsubscribe(server, request.params.uri);
+    return {};
+  });
+
+  // Handle prompt listing
+  server.setRequestHandler(ListPromptsRequestSchema, async () => {
+    return {
+      prompts: prompts.map(({ name, description, arguments: promptArguments }) => ({
+        name,
+        description,
+        arguments: promptArguments
+      }))
     };
+  });
+
+  // Handle prompt requests
+  server.setRequestHandler(GetPromptRequestSchema, async (request) => {
+    return await getPrompt(request.params.name, request.params.arguments);
+  });
+
+  server.onclose = () => dropSubscriptions(server);
+  
+  return server;
+}
+
+// HTTP transport
+// POST/GET/DELETE /mcp       Streamable HTTP, one session per initialize request
+// GET /sse, POST /messages   legacy HTTP+SSE transport
+
+// Largest accepted request body
+const MAX_BODY_BYTES = 4 * 1024 * 1024;
+
+// Active sessions by session ID. Streamable sessions are kept as
+// { transport, lastActive, openRequests } so idle ones can be closed.
+const httpSessions = {
+  streamable: new Map(),
+  sse: new Map()
+};
+
+// Host names that reach a server bound to the loopback interface
+const LOOPBACK_HOSTS = ['127.0.0.1', '::1', 'localhost'];
+
+// Host name of a Host header or an origin URL, without port or IPv6 brackets
+function hostnameOf(value) {
+  try {
+    return new URL(value.includes('://') ? value : `http://${value}`).hostname.replace(/^\[|\]$/g, '');
+  } catch {
+    return null;
+  }
+}
+
+// Send a JSON-RPC error response outside of a transport
+function sendJsonRpcError(res, status, code, message, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify({ jsonrpc: '2.0', error: { code, message }, id: null }));
+}
+
+// Add CORS headers for allowed origins; returns false for a disallowed origin.
+// Without corsOrigins only pages served from localhost may call the server,
+// so a foreign web page cannot reach it from the user's browser.
+function applyCors(req, res) {
+  const origin = req.headers.origin;
+  if (!origin) {
+    return true;
+  }
+  if (config.corsOrigins.length === 0) {
+    return LOOPBACK_HOSTS.includes(hostnameOf(origin));
+  }
+  
+  const allowAll = config.corsOrigins.includes('*');
+  if (!allowAll && !config.corsOrigins.includes(origin)) {
+    return false;
+  }
+  
+  res.setHeader('Access-Control-Allow-Origin', allowAll ? '*' : origin);
+  res.setHeader('Vary', 'Origin');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, Mcp-Session-Id, Mcp-Protocol-Version, Last-Event-ID');
+  res.setHeader('Access-Control-Expose-Headers', 'Mcp-Session-Id');
+  return true;
+}
+
+// Check the Host header against the address the server is bound to and
+// allowedHosts, which defeats DNS rebinding: a page on another domain that
+// resolves to this machine still sends its own host name. Servers bound to
+// all interfaces (0.0.0.0 or ::) accept any host unless allowedHosts is set,
+// and then rely on authToken.
+function isAllowedHost(req) {
+  const anyInterface = ['0.0.0.0', '::'].includes(config.host);
+  if (anyInterface && config.allowedHosts.length === 0) {
+    return true;
+  }
+  
+  const hostname = req.headers.host ? hostnameOf(req.headers.host) : null;
+  const bound = LOOPBACK_HOSTS.includes(config.host) || anyInterface ? LOOPBACK_HOSTS : [config.host];
+  return [...bound, ...config.allowedHosts].includes(hostname);
+}
+
+// Check the bearer token of a request when one is configured
+function isAuthorized(req) {
+  if (!config.authToken) {
+    return true;
   }
   
+  const match = (req.headers.authorization || '').match(/^Bearer\s+(.+)$/i);
+  if (!match) {
+    return false;
+  }
+  
+  const given = Buffer.from(match[1].trim());
+  const expected = Buffer.from(config.authToken);
+  return given.length === expected.length && timingSafeEqual(given, expected);
+}
+
+// Read and parse a JSON request body
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    let size = 0;
+    
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new Error('Request body too large'));
+        req.destroy();
+        return;
+      }
+      body += chunk.toString();
+    });
+    
+    req.on('end', () => {
+      try {
+        resolve(body ? JSON.parse(body) : undefined);
+      } catch (error) {
+        reject(new Error(`Invalid JSON: ${error.message}`));
+      }
+    });
+    
+    req.on('error', reject);
+  });
+}
+
+// Streamable HTTP endpoint
+async function handleStreamableRequest(req, res) {
+  const sessionId = req.headers['mcp-session-id'];
+  let body;
+  
+  if (req.method === 'POST') {
+    try {
+      body = await readJsonBody(req);
+    } catch (error) {
+      sendJsonRpcError(res, 400, -32700, error.message);
+      return;
+    }
+  }
+  
+  const session = sessionId ? httpSessions.streamable.get(sessionId) : null;
+  
+  if (sessionId && !session) {
+    sendJsonRpcError(res, 404, -32001, `Unknown session: ${sessionId}`);
+    return;
+  }
+  
+  if (session) {
+    // A session stays active while it has a request open, such as its
+    // notification stream
+    session.lastActive = Date.now();
+    session.openRequests++;
+    res.once('close', () => {
+      session.lastActive = Date.now();
+      session.openRequests--;
+    });
+    await session.transport.handleRequest(req, res, body);
+    return;
+  }
+  
+  if (req.method !== 'POST' || !isInitializeRequest(body)) {
+    sendJsonRpcError(res, 400, -32000, 'Missing Mcp-Session-Id header; start a session with an initialize request');
+    return;
+  }
+  
+  const transport = new StreamableHTTPServerTransport({
+    sessionIdGenerator: () => randomUUID(),
+    onsessioninitialized: (newSessionId) => {
+      httpSessions.streamable.set(newSessionId, { transport, lastActive: Date.now(), openRequests: 0 });
+    }
+  });
+  transport.onclose = () => {
+    if (transport.sessionId) {
+      httpSessions.streamable.delete(transport.sessionId);
+    }
+  };
+  await createServer().connect(transport);
+  await transport.handleRequest(req, res, body);
+}
+
+// Close streamable sessions that had no request for sessionTimeout, so
+// clients that go away without DELETE do not keep their server around
+function closeIdleSessions() {
+  const cutoff = Date.now() - config.sessionTimeout;
+  httpSessions.streamable.forEach((session, sessionId) => {
+    if (session.openRequests === 0 && session.lastActive < cutoff) {
+      httpSessions.streamable.delete(sessionId);
+      session.transport.close().catch(error => {
+        console.error(`Could not close idle session ${sessionId}: ${error.message}`);
+      });
+    }
+  });
+}
+
+// Legacy SSE endpoint: opens the event stream of a new session
+async function handleSseStream(req, res) {
+  const transport = new SSEServerTransport('/messages', res);
+  httpSessions.sse.set(transport.sessionId, transport);
+  transport.onclose = () => httpSessions.sse.delete(transport.sessionId);
+  await createServer().connect(transport);
+}
+
+// Legacy SSE endpoint: messages posted by the client of a session
+async function handleSseMessage(req, res, url) {
+  const transport = httpSessions.sse.get(url.searchParams.get('sessionId'));
+  if (!transport) {
+    sendJsonRpcError(res, 404, -32001, 'Unknown session');
+    return;
+  }
+  
+  let body;
   try {
-    return await handlers[name](args || {});
+    body = await readJsonBody(req);
   } catch (error) {
-    return { 
-      content: [{ type: 'text', text: `Error executing ${name}: ${error.message}` }], 
-      isError: true 
-    };
+    sendJsonRpcError(res, 400, -32700, error.message);
+    return;
   }
-});
+  
+  await transport.handlePostMessage(req, res, body);
+}
+
+// Route an HTTP request
+async function handleHttpRequest(req, res) {
+  const url = new URL(req.url, 'http://localhost');
+  
+  if (!isAllowedHost(req)) {
+    sendJsonRpcError(res, 403, -32000, 'Host not allowed');
+    return;
+  }
+  if (!applyCors(req, res)) {
+    sendJsonRpcError(res, 403, -32000, 'Origin not allowed');
+    return;
+  }
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204);
+    res.end();
+    return;
+  }
+  if (!isAuthorized(req)) {
+    sendJsonRpcError(res, 401, -32000, 'Unauthorized', { 'WWW-Authenticate': 'Bearer' });
+    return;
+  }
+  
+  if (url.pathname === '/mcp' && ['GET', 'POST', 'DELETE'].includes(req.method)) {
+    await handleStreamableRequest(req, res);
+  } else if (url.pathname === '/sse' && req.method === 'GET') {
+    await handleSseStream(req, res);
+  } else if (url.pathname === '/messages' && req.method === 'POST') {
+    await handleSseMessage(req, res, url);
+  } else {
+    sendJsonRpcError(res, 404, -32601, `Not found: ${req.method} ${url.pathname}`);
+  }
+}
+
+// Start the HTTP server; resolves once it is listening
+function startHttpServer() {
+  const httpServer = createHttpServer((req, res) => {
+    handleHttpRequest(req, res).catch(error => {
+      console.error('HTTP request failed:', error);
+      if (!res.headersSent) {
+        sendJsonRpcError(res, 500, -32603, 'Internal server error');
+      } else {
+        res.end();
+      }
+    });
+  });
+  
+  const sweep = setInterval(closeIdleSessions, Math.min(config.sessionTimeout, 60000));
+  sweep.unref();
+  httpServer.once('close', () => clearInterval(sweep));
+  
+  return new Promise((resolve, reject) => {
+    httpServer.once('error', reject);
+    httpServer.listen(config.port, config.host, () => resolve(httpServer));
+  });
+}
 
 // Start server
 async function main() {
   try {
-    const transport = new StdioServerTransport();
-    await server.connect(transport);
-    console.error('Modern Message Board MCP Server started');
+    config = loadConfig();
+  } catch (error) {
+    if (error instanceof ConfigError) {
+      console.error(`Invalid configuration: ${error.message}`);
+      process.exit(1);
+    }
+    throw error;
+  }
+  
+  storage = createStorage();
+  
+  const backend = `backend: ${storage.location}${config.profile ? `, profile: ${config.profile}` : ''}`;
+  
+  try {
+    if (config.transport === 'http') {
+      const httpServer = await startHttpServer();
+      const { address, port } = httpServer.address();
+      if (!config.authToken && !LOOPBACK_HOSTS.includes(config.host)) {
+        console.error('Warning: HTTP transport is reachable from the network without an auth token');
+      }
+      console.error(`Modern Message Board MCP Server listening on http://${address}:${port}/mcp (${backend})`);
+    } else {
+      const transport = new StdioServerTransport();
+      await createServer().connect(transport);
+      console.error(`Modern Message Board MCP Server started (${backend})`);
+    }
   } catch (error) {
     console.error('Failed to start server:', error);
     process.exit(1);
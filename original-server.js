@@ -8,10 +8,34 @@ const http = require('http');
 const fs = require('fs');
 const path = require('path');
 const url = require('url');
+const crypto = require('crypto');
 
 // Import database storage (use dynamic import for ES modules)
 let storage = null;
 
+// Built-in tab names, used until the board stores its own categories
+// (same as in the MCP server)
+const DEFAULT_TAB_NAMES = {
+    '1': 'First Messages',
+    '2': 'Second Messages',
+    '3': 'Third Messages',
+    '4': 'Fourth Messages',
+    '5': 'Short First',
+    '6': 'Not Interested',
+    '7': 'Interested',
+    '8': 'Affiliate',
+    '9': 'Old Connections',
+    '10': 'New Task'
+};
+
+// Export formats and their fields, in column order (same as export_board)
+const EXPORT_COLUMNS = ['id', 'tabId', 'category', 'position', 'title', 'content', 'author', 'tags', 'createdAt', 'updatedAt'];
+const EXPORT_TYPES = {
+    csv: { mimeType: 'text/csv', extension: 'csv' },
+    markdown: { mimeType: 'text/markdown', extension: 'md' },
+    jsonl: { mimeType: 'application/jsonl', extension: 'jsonl' }
+};
+
 async function initializeStorage() {
     try {
         const storageModule = require('./server/storage.js');
@@ -37,6 +61,20 @@ class MessageManagementServer {
             '.ico': 'image/x-icon',
             '.svg': 'image/svg+xml'
         };
+        // Pending save; saves are chained so revision checks cannot interleave
+        this.saveQueue = Promise.resolve();
+        // Fixed timestamp for the default structure so its ETag stays stable
+        this.startedAt = new Date().toLocaleString();
+        // Latest revision seen and when it appeared, for Last-Modified
+        this.dataModified = { etag: null, date: null };
+        // Results of recent saves by Idempotency-Key, replayed when a client
+        // repeats a save whose response it never received. Board responses
+        // carry Accept-Idempotency-Key so clients know repeats are safe.
+        this.completedSaves = new Map();
+        // Copies of data.json taken before each save, pruned by count and age
+        this.snapshotDir = path.resolve(process.env.SNAPSHOT_DIR || 'snapshots');
+        this.snapshotLimit = process.env.SNAPSHOT_LIMIT ? parseInt(process.env.SNAPSHOT_LIMIT) : 50;
+        this.snapshotMaxDays = parseInt(process.env.SNAPSHOT_MAX_DAYS) || 30;
     }
 
     /**
@@ -45,7 +83,8 @@ class MessageManagementServer {
     addCorsHeaders(res) {
         res.setHeader('Access-Control-Allow-Origin', '*');
         res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, OPTIONS');
-        res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+        res.setHeader('Access-Control-Allow-Headers', 'Content-Type, If-Match, If-None-Match, If-Modified-Since, Idempotency-Key');
+        res.setHeader('Access-Control-Expose-Headers', 'ETag, Last-Modified, Accept-Idempotency-Key');
     }
 
     /**
@@ -65,6 +104,8 @@ class MessageManagementServer {
         
         if (parsedUrl.pathname === '/api/save-data') {
             this.handleSaveData(req, res);
+        } else if (/^\/api\/snapshots\/[^/]+\/restore$/.test(parsedUrl.pathname)) {
+            this.handleRestoreSnapshot(req, res, decodeURIComponent(parsedUrl.pathname.split('/')[3]));
         } else {
             this.send404(res);
         }
@@ -72,6 +113,9 @@ class MessageManagementServer {
 
     /**
      * Handle data saving endpoint
+     * A request carrying If-Match is rejected with 409 when the board has
+     * changed since that revision was read; requests without it always save.
+     * A repeated Idempotency-Key gets the result of the original save.
      */
     handleSaveData(req, res) {
         let body = '';
@@ -80,60 +124,346 @@ class MessageManagementServer {
             body += chunk.toString();
         });
         
-        req.on('end', async () => {
+        req.on('end', () => {
+            this.saveQueue = this.saveQueue.then(() => this.processSave(req, res, body));
+        });
+        
+        req.on('error', (error) => {
+            console.error('Request error:', error);
+            this.sendError(res, 400, 'Bad request');
+        });
+    }
+
+    /**
+     * Validate, check the revision of and store a save request body
+     */
+    async processSave(req, res, body) {
+        try {
+            if (!body) {
+                this.sendError(res, 400, 'No data provided');
+                return;
+            }
+            
+            // Parse JSON data
+            let data;
             try {
-                if (!body) {
-                    this.sendError(res, 400, 'No data provided');
-                    return;
-                }
-                
-                // Parse JSON data
-                let data;
-                try {
-                    data = JSON.parse(body);
-                } catch (parseError) {
-                    this.sendError(res, 400, `Invalid JSON: ${parseError.message}`);
-                    return;
-                }
-                
-                // Validate data structure
-                if (typeof data !== 'object' || data === null) {
-                    this.sendError(res, 400, 'Data must be a JSON object');
+                data = JSON.parse(body);
+            } catch (parseError) {
+                this.sendError(res, 400, `Invalid JSON: ${parseError.message}`);
+                return;
+            }
+            
+            // Validate data structure
+            if (typeof data !== 'object' || data === null) {
+                this.sendError(res, 400, 'Data must be a JSON object');
+                return;
+            }
+            
+            // Repeat of a save that already went through
+            const idempotencyKey = req.headers['idempotency-key'];
+            if (idempotencyKey && this.completedSaves.has(idempotencyKey)) {
+                this.sendSaved(res, this.completedSaves.get(idempotencyKey));
+                return;
+            }
+            
+            // Reject stale writes
+            const current = await this.loadData();
+            const currentEtag = this.computeEtag(current);
+            const ifMatch = req.headers['if-match'];
+            if (ifMatch) {
+                const expected = ifMatch.split(',').map(tag => tag.trim());
+                if (!expected.includes('*') && !expected.includes(currentEtag)) {
+                    this.addCorsHeaders(res);
+                    res.writeHead(409, { 'Content-Type': 'application/json', 'ETag': currentEtag });
+                    res.end(JSON.stringify({
+                        success: false,
+                        error: 'conflict',
+                        message: 'Data was modified since it was read'
+                    }));
                     return;
                 }
-                
-                // Save to database if available, otherwise fall back to file
-                if (storage) {
-                    try {
-                        await storage.saveData(data);
-                        console.log(`Data saved to database at ${new Date().toLocaleString()}`);
-                    } catch (dbError) {
-                        console.error('Database save failed, falling back to file:', dbError);
-                        // Fall back to file storage
-                        const jsonString = JSON.stringify(data, null, 4);
-                        fs.writeFileSync('data.json', jsonString, 'utf8');
-                        console.log(`Data saved to data.json at ${new Date().toLocaleString()}`);
-                    }
-                } else {
-                    // Fall back to file storage
-                    const jsonString = JSON.stringify(data, null, 4);
-                    fs.writeFileSync('data.json', jsonString, 'utf8');
-                    console.log(`Data saved to data.json at ${new Date().toLocaleString()}`);
+            }
+            
+            const saved = await this.writeData(data, current, currentEtag);
+            if (idempotencyKey) {
+                this.rememberSave(idempotencyKey, saved);
+            }
+            this.sendSaved(res, saved);
+            
+        } catch (error) {
+            console.error('Error saving data:', error);
+            this.sendError(res, 500, `Internal server error: ${error.message}`);
+        }
+    }
+
+    /**
+     * Replace the stored data, snapshotting the current data first.
+     * Returns the new revision and its Last-Modified date.
+     */
+    async writeData(data, current, currentEtag) {
+        const etag = this.computeEtag(data);
+        if (etag !== currentEtag) {
+            this.takeSnapshot(current, currentEtag);
+        }
+        
+        // Save to database if available, otherwise fall back to file
+        if (storage) {
+            try {
+                await storage.saveData(data);
+                console.log(`Data saved to database at ${new Date().toLocaleString()}`);
+            } catch (dbError) {
+                console.error('Database save failed, falling back to file:', dbError);
+                // Fall back to file storage
+                const jsonString = JSON.stringify(data, null, 4);
+                fs.writeFileSync('data.json', jsonString, 'utf8');
+                console.log(`Data saved to data.json at ${new Date().toLocaleString()}`);
+            }
+        } else {
+            // Fall back to file storage
+            const jsonString = JSON.stringify(data, null, 4);
+            fs.writeFileSync('data.json', jsonString, 'utf8');
+            console.log(`Data saved to data.json at ${new Date().toLocaleString()}`);
+        }
+        
+        return { etag, lastModified: this.lastModifiedFor(etag).toUTCString() };
+    }
+
+    /**
+     * IDs of the stored snapshots, newest first
+     */
+    listSnapshotIds() {
+        if (!fs.existsSync(this.snapshotDir)) {
+            return [];
+        }
+        return fs.readdirSync(this.snapshotDir)
+            .filter(name => /^\d{8}T\d{9}Z-[0-9a-f]{8}\.json$/.test(name))
+            .map(name => name.slice(0, -5))
+            .sort()
+            .reverse();
+    }
+
+    /**
+     * Read a snapshot ({ id, createdAt, revision, data }), or null if there is none with that ID
+     */
+    readSnapshot(id) {
+        if (!/^\d{8}T\d{9}Z-[0-9a-f]{8}$/.test(id)) {
+            return null;
+        }
+        const filePath = path.join(this.snapshotDir, `${id}.json`);
+        if (!fs.existsSync(filePath)) {
+            return null;
+        }
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    }
+
+    /**
+     * Copy the data about to be replaced to a new snapshot and prune old ones.
+     * Failures are logged; they never block the save.
+     */
+    takeSnapshot(data, revision) {
+        if (this.snapshotLimit <= 0) {
+            return;
+        }
+        
+        try {
+            // A corrupt latest snapshot only means there is nothing to compare with
+            const [latest] = this.listSnapshotIds();
+            let latestRevision = null;
+            try {
+                latestRevision = latest ? this.readSnapshot(latest).revision : null;
+            } catch (error) {
+                console.error(`Error reading snapshot ${latest}:`, error.message);
+            }
+            if (latestRevision === revision) {
+                return;
+            }
+            
+            const createdAt = new Date().toISOString();
+            const id = `${createdAt.replace(/[-:.]/g, '')}-${crypto.randomBytes(4).toString('hex')}`;
+            fs.mkdirSync(this.snapshotDir, { recursive: true });
+            fs.writeFileSync(path.join(this.snapshotDir, `${id}.json`), JSON.stringify({ id, createdAt, revision, data }), 'utf8');
+            
+            // Retention: newest snapshotLimit snapshots, none older than snapshotMaxDays
+            const cutoff = Date.now() - this.snapshotMaxDays * 24 * 60 * 60 * 1000;
+            this.listSnapshotIds().forEach((snapshotId, index) => {
+                const filePath = path.join(this.snapshotDir, `${snapshotId}.json`);
+                if (index >= this.snapshotLimit || fs.statSync(filePath).mtimeMs < cutoff) {
+                    fs.rmSync(filePath, { force: true });
                 }
-                
-                // Send success response
-                this.addCorsHeaders(res);
-                res.writeHead(200, { 'Content-Type': 'application/json' });
-                const response = JSON.stringify({ 
-                    success: true, 
-                    message: 'Data saved successfully' 
+            });
+        } catch (error) {
+            console.error('Error taking snapshot:', error);
+        }
+    }
+
+    /**
+     * Message IDs per tab, as served by /api/messages
+     */
+    messageIdsByTab(data) {
+        const ids = {};
+        this.readMessages(data).forEach(message => {
+            (ids[message.tabId] = ids[message.tabId] || []).push(message.id);
+        });
+        return ids;
+    }
+
+    /**
+     * Data as it would be after restoring a snapshot, either completely or
+     * only one tab. Messages of a restored tab that moved to another tab
+     * since the snapshot are taken out of that tab again.
+     */
+    restoredData(current, snapshot, tab) {
+        const restored = JSON.parse(JSON.stringify(snapshot.data));
+        if (tab === undefined || tab === null) {
+            return restored;
+        }
+        
+        if (!Array.isArray(restored[tab])) {
+            return null;
+        }
+        
+        const result = JSON.parse(JSON.stringify(current));
+        const restoredIds = new Set(this.messageIdsByTab(restored)[tab] || []);
+        const currentIds = this.messageIdsByTab(result);
+        Object.keys(currentIds).forEach(tabKey => {
+            result[tabKey] = result[tabKey].filter((entry, index) => !restoredIds.has(currentIds[tabKey][index]));
+        });
+        result[tab] = restored[tab];
+        
+        // Bring back the tab's name if the board stores category names
+        const name = restored.categories && restored.categories[tab];
+        if (name) {
+            result.categories = { ...result.categories, [tab]: name };
+        }
+        result.lastSaved = new Date().toLocaleString();
+        return result;
+    }
+
+    /**
+     * Changes restoring would make, per tab: message IDs that come back
+     * (added), disappear (removed) or change (modified)
+     */
+    diffData(current, restored, tab) {
+        const currentMessages = new Map(this.readMessages(current).map(message => [message.id, message]));
+        const restoredMessages = new Map(this.readMessages(restored).map(message => [message.id, message]));
+        const tabs = {};
+        const entryFor = (tabId) => tabs[tabId] = tabs[tabId] || { tabId, added: [], removed: [], modified: [], moved: [] };
+        
+        restoredMessages.forEach((message, id) => {
+            const before = currentMessages.get(id);
+            if (!before) {
+                entryFor(message.tabId).added.push(id);
+            } else if (before.tabId !== message.tabId) {
+                entryFor(message.tabId).moved.push(id);
+            } else if (JSON.stringify(before) !== JSON.stringify(message)) {
+                entryFor(message.tabId).modified.push(id);
+            }
+        });
+        currentMessages.forEach((message, id) => {
+            if (!restoredMessages.has(id)) {
+                entryFor(message.tabId).removed.push(id);
+            }
+        });
+        
+        return Object.values(tabs).filter(entry => tab === undefined || tab === null || entry.tabId === tab);
+    }
+
+    /**
+     * Handle snapshot endpoints: GET /api/snapshots, GET /api/snapshots/:id
+     * and GET /api/snapshots/:id/diff[?tab=N]
+     */
+    async handleGetSnapshots(req, res, parsedUrl) {
+        try {
+            const parts = parsedUrl.pathname.split('/').slice(3).map(decodeURIComponent);
+            
+            if (parts.length === 0 || parts[0] === '') {
+                const snapshots = this.listSnapshotIds().map(id => {
+                    const { createdAt, revision, data } = this.readSnapshot(id);
+                    const ids = this.messageIdsByTab(data);
+                    const tabs = {};
+                    Object.keys(ids).forEach(tabKey => { tabs[tabKey] = ids[tabKey].length; });
+                    return { id, createdAt, revision, tabs };
                 });
-                res.end(response);
-                
-            } catch (error) {
-                console.error('Error saving data:', error);
-                this.sendError(res, 500, `Internal server error: ${error.message}`);
+                this.sendJson(res, 200, { snapshots });
+                return;
             }
+            
+            const snapshot = this.readSnapshot(parts[0]);
+            if (!snapshot || parts.length > 2 || (parts.length === 2 && parts[1] !== 'diff')) {
+                this.sendError(res, 404, `Snapshot not found: ${parts.join('/')}`);
+                return;
+            }
+            
+            if (parts.length === 1) {
+                this.sendJson(res, 200, snapshot);
+                return;
+            }
+            
+            const tab = new URLSearchParams(parsedUrl.query || '').get('tab');
+            const current = await this.loadData();
+            const restored = this.restoredData(current, snapshot, tab);
+            if (!restored) {
+                this.sendError(res, 404, `Tab ${tab} is not in snapshot ${snapshot.id}`);
+                return;
+            }
+            this.sendJson(res, 200, { snapshotId: snapshot.id, createdAt: snapshot.createdAt, tabs: this.diffData(current, restored, tab) });
+            
+        } catch (error) {
+            console.error('Error reading snapshots:', error);
+            this.sendError(res, 500, 'Error reading snapshots');
+        }
+    }
+
+    /**
+     * Handle POST /api/snapshots/:id/restore with an optional { "tab": "N" }
+     * body to restore only that tab. The restore is a regular save: it is
+     * queued with other saves and snapshots the data it replaces.
+     */
+    handleRestoreSnapshot(req, res, snapshotId) {
+        let body = '';
+        
+        req.on('data', chunk => {
+            body += chunk.toString();
+        });
+        
+        req.on('end', () => {
+            this.saveQueue = this.saveQueue.then(async () => {
+                try {
+                    let tab = null;
+                    if (body) {
+                        try {
+                            const options = JSON.parse(body);
+                            tab = options && options.tab !== undefined && options.tab !== null ? String(options.tab) : null;
+                        } catch (parseError) {
+                            this.sendError(res, 400, `Invalid JSON: ${parseError.message}`);
+                            return;
+                        }
+                    }
+                    
+                    const snapshot = this.readSnapshot(snapshotId);
+                    if (!snapshot) {
+                        this.sendError(res, 404, `Snapshot not found: ${snapshotId}`);
+                        return;
+                    }
+                    
+                    const current = await this.loadData();
+                    const restored = this.restoredData(current, snapshot, tab);
+                    if (!restored) {
+                        this.sendError(res, 404, `Tab ${tab} is not in snapshot ${snapshotId}`);
+                        return;
+                    }
+                    
+                    const { etag, lastModified } = await this.writeData(restored, current, this.computeEtag(current));
+                    this.sendJson(res, 200, {
+                        success: true,
+                        message: tab === null ? `Restored snapshot ${snapshotId}` : `Restored tab ${tab} from snapshot ${snapshotId}`
+                    }, { 'ETag': etag, 'Last-Modified': lastModified });
+                    
+                } catch (error) {
+                    console.error('Error restoring snapshot:', error);
+                    this.sendError(res, 500, `Internal server error: ${error.message}`);
+                }
+            });
         });
         
         req.on('error', (error) => {
@@ -142,6 +472,64 @@ class MessageManagementServer {
         });
     }
 
+    /**
+     * Send a JSON response
+     */
+    sendJson(res, statusCode, body, headers = {}) {
+        this.addCorsHeaders(res);
+        res.writeHead(statusCode, { 'Content-Type': 'application/json', ...headers });
+        res.end(JSON.stringify(body));
+    }
+
+    /**
+     * Send the response of a successful save
+     */
+    sendSaved(res, { etag, lastModified }) {
+        this.addCorsHeaders(res);
+        res.writeHead(200, {
+            'Content-Type': 'application/json',
+            'ETag': etag,
+            'Last-Modified': lastModified,
+            'Accept-Idempotency-Key': 'true'
+        });
+        res.end(JSON.stringify({ 
+            success: true, 
+            message: 'Data saved successfully' 
+        }));
+    }
+
+    /**
+     * Remember the result of a save, keeping only the most recent ones
+     */
+    rememberSave(idempotencyKey, saved) {
+        this.completedSaves.set(idempotencyKey, saved);
+        if (this.completedSaves.size > 1000) {
+            this.completedSaves.delete(this.completedSaves.keys().next().value);
+        }
+    }
+
+    /**
+     * Compute the revision tag of a data object
+     */
+    computeEtag(data) {
+        const hash = crypto.createHash('sha1').update(JSON.stringify(data)).digest('hex');
+        return `"${hash}"`;
+    }
+
+    /**
+     * Last-Modified date of a revision: when this server first saw it.
+     * Dates only have one-second precision, so each new revision gets a
+     * later date than the previous one.
+     */
+    lastModifiedFor(etag) {
+        if (this.dataModified.etag !== etag) {
+            const previous = this.dataModified.date ? this.dataModified.date.getTime() : 0;
+            const now = Math.floor(Date.now() / 1000) * 1000;
+            this.dataModified = { etag, date: new Date(Math.max(now, previous + 1000)) };
+        }
+        return this.dataModified.date;
+    }
+
     /**
      * Handle GET requests for static files and API endpoints
      */
@@ -157,6 +545,24 @@ class MessageManagementServer {
             return;
         }
         
+        // Message endpoints - every message as a record
+        if (pathname === '/api/messages' || pathname.startsWith('/api/messages/')) {
+            this.handleGetMessages(req, res, pathname);
+            return;
+        }
+        
+        // Snapshot endpoints - list, read and diff snapshots
+        if (pathname === '/api/snapshots' || pathname.startsWith('/api/snapshots/')) {
+            this.handleGetSnapshots(req, res, parsedUrl);
+            return;
+        }
+        
+        // Export endpoint - CSV, Markdown or JSON Lines
+        if (pathname === '/api/export') {
+            this.handleExport(req, res, parsedUrl);
+            return;
+        }
+        
         // Data endpoint - serve from database or fallback to file
         if (pathname === '/data.json') {
             this.handleGetData(req, res);
@@ -201,24 +607,36 @@ class MessageManagementServer {
      */
     async handleGetData(req, res) {
         try {
-            let data;
+            const data = await this.loadData();
+            const etag = this.computeEtag(data);
+            const lastModified = this.lastModifiedFor(etag);
             
-            if (storage) {
-                try {
-                    data = await storage.getData();
-                    console.log('Data loaded from database');
-                } catch (dbError) {
-                    console.error('Database load failed, falling back to file:', dbError);
-                    // Fall back to file
-                    data = this.loadDataFromFile();
-                }
-            } else {
-                // Fall back to file
-                data = this.loadDataFromFile();
+            // Conditional request: nothing changed since the client's copy.
+            // If-None-Match takes precedence over If-Modified-Since.
+            const ifNoneMatch = req.headers['if-none-match'];
+            const ifModifiedSince = Date.parse(req.headers['if-modified-since']);
+            const notModified = ifNoneMatch
+                ? ifNoneMatch.split(',').map(tag => tag.trim()).includes(etag)
+                : !isNaN(ifModifiedSince) && lastModified.getTime() <= ifModifiedSince;
+            
+            if (notModified) {
+                this.addCorsHeaders(res);
+                res.writeHead(304, {
+                    'ETag': etag,
+                    'Last-Modified': lastModified.toUTCString(),
+                    'Accept-Idempotency-Key': 'true'
+                });
+                res.end();
+                return;
             }
             
             this.addCorsHeaders(res);
-            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.writeHead(200, {
+                'Content-Type': 'application/json',
+                'ETag': etag,
+                'Last-Modified': lastModified.toUTCString(),
+                'Accept-Idempotency-Key': 'true'
+            });
             res.end(JSON.stringify(data));
             
         } catch (error) {
@@ -227,6 +645,248 @@ class MessageManagementServer {
         }
     }
 
+    /**
+     * Handle message list (/api/messages) and single message (/api/messages/:id) endpoints
+     */
+    async handleGetMessages(req, res, pathname) {
+        try {
+            const messages = this.readMessages(await this.loadData());
+            let result = { messages };
+            
+            if (pathname !== '/api/messages') {
+                const messageId = decodeURIComponent(pathname.substring('/api/messages/'.length));
+                result = messages.find(message => message.id === messageId);
+                if (!result) {
+                    this.sendError(res, 404, `Message not found: ${messageId}`);
+                    return;
+                }
+            }
+            
+            this.addCorsHeaders(res);
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(result));
+            
+        } catch (error) {
+            console.error('Error loading messages:', error);
+            this.sendError(res, 500, 'Error loading messages');
+        }
+    }
+
+    /**
+     * Handle GET /api/export?format=csv|markdown|jsonl&tab=1,2
+     */
+    async handleExport(req, res, parsedUrl) {
+        try {
+            const query = new URLSearchParams(parsedUrl.query || '');
+            const format = query.get('format') || 'csv';
+            if (!EXPORT_TYPES[format]) {
+                this.sendError(res, 400, `Unknown format: ${format} (expected ${Object.keys(EXPORT_TYPES).join(', ')})`);
+                return;
+            }
+            
+            const data = await this.loadData();
+            const names = this.categoryNames(data);
+            let tabKeys = Object.keys(names);
+            if (query.get('tab')) {
+                tabKeys = [...new Set(query.get('tab').split(',').map(tab => tab.trim()))];
+                const unknown = tabKeys.filter(tabKey => !names[tabKey]);
+                if (unknown.length > 0) {
+                    this.sendError(res, 404, `Unknown tab: ${unknown.join(', ')}`);
+                    return;
+                }
+            }
+            
+            const text = this.exportData(data, names, tabKeys, format);
+            const { mimeType, extension } = EXPORT_TYPES[format];
+            this.addCorsHeaders(res);
+            res.writeHead(200, {
+                'Content-Type': `${mimeType}; charset=utf-8`,
+                'Content-Disposition': `attachment; filename="message-board.${extension}"`
+            });
+            res.end(text);
+            
+        } catch (error) {
+            console.error('Error exporting data:', error);
+            this.sendError(res, 500, 'Error exporting data');
+        }
+    }
+
+    /**
+     * Tab names as { tabKey: name }: the stored categories, or the built-in
+     * names before any are stored; unnamed tabs are "Tab N"
+     */
+    categoryNames(data) {
+        const names = {};
+        if (data.categories && typeof data.categories === 'object') {
+            Object.keys(data.categories).forEach(key => {
+                const entry = data.categories[key];
+                if (!isNaN(parseInt(key)) && entry && typeof entry.name === 'string') {
+                    names[key] = entry.name;
+                }
+            });
+        } else {
+            Object.assign(names, DEFAULT_TAB_NAMES);
+        }
+        
+        Object.keys(data).forEach(key => {
+            if (key !== 'lastSaved' && !isNaN(parseInt(key)) && Array.isArray(data[key]) && !names[key]) {
+                names[key] = DEFAULT_TAB_NAMES[key] || `Tab ${key}`;
+            }
+        });
+        return names;
+    }
+
+    /**
+     * Render the messages of some tabs in an export format. CSV follows
+     * RFC 4180 (quoted fields, doubled quotes, CRLF); Markdown has one
+     * section per tab with each message in a fenced block; JSON Lines has
+     * one object per message.
+     */
+    exportData(data, names, tabKeys, format) {
+        const positions = {};
+        const rows = this.readMessages(data)
+            .filter(message => tabKeys.includes(message.tabId))
+            .map(message => {
+                positions[message.tabId] = (positions[message.tabId] || 0) + 1;
+                return { ...message, category: names[message.tabId], position: positions[message.tabId] - 1 };
+            })
+            .sort((a, b) => tabKeys.indexOf(a.tabId) - tabKeys.indexOf(b.tabId));
+        
+        if (format === 'csv') {
+            // Formula-like cells get a leading ' so spreadsheets show them as text
+            const field = (value) => {
+                let text = value === null ? '' : Array.isArray(value) ? value.join('; ') : String(value);
+                if (/^'*[=+\-@\t\r]/.test(text)) {
+                    text = `'${text}`;
+                }
+                return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+            };
+            const lines = [EXPORT_COLUMNS.join(',')];
+            rows.forEach(row => lines.push(EXPORT_COLUMNS.map(column => field(row[column])).join(',')));
+            return lines.join('\r\n') + '\r\n';
+        }
+        
+        if (format === 'jsonl') {
+            return rows.map(row => JSON.stringify(Object.fromEntries(EXPORT_COLUMNS.map(column => [column, row[column]]))) + '\n').join('');
+        }
+        
+        const inline = (text) => text.replace(/\s*[\r\n]+\s*/g, ' ').trim();
+        const sections = ['# Message Board'];
+        tabKeys.forEach(tabKey => {
+            const tabRows = rows.filter(row => row.tabId === tabKey);
+            sections.push(`## ${inline(names[tabKey])} (tab ${tabKey})`);
+            if (tabRows.length === 0) {
+                sections.push('_No messages_');
+            }
+            tabRows.forEach(row => {
+                const details = EXPORT_COLUMNS
+                    .filter(column => !['category', 'tabId', 'title', 'content'].includes(column))
+                    .map(column => {
+                        const value = Array.isArray(row[column]) ? row[column].join(', ') : row[column];
+                        return `- ${column}: ${value === null || value === '' ? '—' : `\`${inline(String(value))}\``}`;
+                    });
+                const fence = '`'.repeat(Math.max(2, ...(row.content.match(/`+/g) || []).map(run => run.length)) + 1);
+                sections.push(`### ${inline(row.title) || row.id}`, details.join('\n'), `${fence}\n${row.content}\n${fence}`);
+            });
+        });
+        return sections.join('\n\n') + '\n';
+    }
+
+    /**
+     * Read all messages from numeric tabs as records
+     * ({ id, content, title, author, tags, createdAt, updatedAt, tabId }).
+     * Plain-string entries are upgraded on the fly; their IDs are derived from
+     * the content the same way the MCP server derives them.
+     */
+    readMessages(data) {
+        const tabKeys = Object.keys(data).filter(key =>
+            key !== 'lastSaved' && !isNaN(parseInt(key)) && Array.isArray(data[key])
+        );
+        const usedIds = new Set();
+        
+        tabKeys.forEach(tabKey => {
+            data[tabKey].forEach(entry => {
+                if (this.isRecord(entry)) {
+                    usedIds.add(entry.id);
+                }
+            });
+        });
+        
+        const messages = [];
+        tabKeys.forEach(tabKey => {
+            data[tabKey].forEach(entry => {
+                messages.push({ ...this.toMessageRecord(entry, usedIds), tabId: tabKey });
+            });
+        });
+        
+        return messages;
+    }
+
+    /**
+     * Check whether a stored entry is already a record with an ID
+     */
+    isRecord(entry) {
+        return typeof entry === 'object' && entry !== null && !Array.isArray(entry) && typeof entry.id === 'string';
+    }
+
+    /**
+     * Convert one stored entry (record or plain string) to a full record
+     */
+    toMessageRecord(entry, usedIds) {
+        let record = entry;
+        
+        if (!this.isRecord(entry)) {
+            let content;
+            if (typeof entry === 'string') {
+                content = entry;
+            } else if (typeof entry === 'object' && entry !== null && typeof entry.content === 'string') {
+                content = entry.content;
+            } else {
+                content = JSON.stringify(entry);
+            }
+            
+            const baseId = 'm-' + crypto.createHash('sha1').update(content).digest('hex').substring(0, 12);
+            let id = baseId;
+            for (let n = 2; usedIds.has(id); n++) {
+                id = `${baseId}-${n}`;
+            }
+            usedIds.add(id);
+            
+            record = typeof entry === 'object' && entry !== null ? { ...entry, id, content } : { id, content };
+        }
+        
+        const content = typeof record.content === 'string' ? record.content : '';
+        return {
+            id: record.id,
+            content,
+            title: record.title || content.substring(0, 50) + (content.length > 50 ? '...' : ''),
+            author: record.author || null,
+            tags: Array.isArray(record.tags) ? record.tags : [],
+            createdAt: record.createdAt || null,
+            updatedAt: record.updatedAt || null
+        };
+    }
+
+    /**
+     * Load current data from database or fallback file
+     */
+    async loadData() {
+        if (storage) {
+            try {
+                const data = await storage.getData();
+                console.log('Data loaded from database');
+                return data;
+            } catch (dbError) {
+                console.error('Database load failed, falling back to file:', dbError);
+                // Fall back to file
+                return this.loadDataFromFile();
+            }
+        }
+        
+        // Fall back to file
+        return this.loadDataFromFile();
+    }
+
     /**
      * Load data from file (fallback method)
      */
@@ -263,7 +923,7 @@ class MessageManagementServer {
                 "reports": { name: "Reports", messages: [] },
                 "reminders": { name: "Reminders", messages: [] }
             },
-            lastSaved: new Date().toLocaleString()
+            lastSaved: this.startedAt
         };
     }
 
@@ -379,6 +1039,10 @@ class MessageManagementServer {
             console.log('Features:');
             console.log('- Static file serving');
             console.log('- Data.json save endpoint: POST /api/save-data');
+            console.log('- Message records: GET /api/messages, GET /api/messages/:id');
+            console.log('- Stale write protection: ETag / If-Match (409 on conflict)');
+            console.log('- Export: GET /api/export?format=csv|markdown|jsonl&tab=1,2');
+            console.log('- Snapshots: GET /api/snapshots, GET /api/snapshots/:id[/diff], POST /api/snapshots/:id/restore');
             console.log('- CORS enabled for frontend integration');
             console.log('\nPress Ctrl+C to stop the server');
         });